@@ -0,0 +1,202 @@
+// Per-view aggregations shared by the renderers and the exports, so a download never disagrees with the screen.
+(function(root, factory) {
+    if (typeof module === 'object' && module.exports) module.exports = factory(require('./hierarchy-builder.js'), require('./analytics-rules.js'));
+    else root.AnalyticsAggregations = factory(root.LearningHierarchy, root.AnalyticsRules);
+})(typeof self !== 'undefined' ? self : this, function(LearningHierarchy, AnalyticsRules) {
+    const { calculateAverage, formatSecondsToDuration } = LearningHierarchy;
+    const { DEFAULT_RULES, classifyStudentStatus, isStrugglingConcept, classifyDifficulty, classifyEffectiveness, classifyLearningPattern } = AnalyticsRules;
+
+    // A hierarchy carries the rules it was built with, so filtered copies and every view classify alike.
+    const rulesOf = (data) => data.rules || DEFAULT_RULES;
+
+    // --- INDEXES ---
+    // Each hierarchy is indexed once, on first use: unit records per student, occurrences per concept and results per activity type.
+    // Hierarchies are never mutated after they are built or filtered, so aggregations are cached alongside the index.
+    const indexCache = new WeakMap();
+
+    function indexHierarchy(data) {
+        if (indexCache.has(data)) return indexCache.get(data);
+        const index = { students: new Map(), concepts: new Map(), activities: new Map(), categoryAccuracies: new Map(), results: new Map() };
+        const push = (map, key, value) => {
+            if (!map.has(key)) map.set(key, []);
+            map.get(key).push(value);
+        };
+        data.chapters.forEach(chapter => chapter.units.forEach(unit => unit.users.forEach(user => {
+            push(index.students, user.userId, { chapter, unit, user });
+            user.activities.forEach(activity => {
+                push(index.activities, activity.activityName, { unit, user, activity });
+                activity.performanceByCategory.forEach(cat => cat.components.forEach(comp => comp.elements.forEach(el => {
+                    push(index.concepts, el.elementId, { unit, user, activity, cat, comp, el });
+                    push(index.categoryAccuracies, cat.category, el.accuracy);
+                })));
+            });
+        })));
+        indexCache.set(data, index);
+        return index;
+    }
+
+    // Callers receive the cached result, so they copy before sorting or otherwise changing it.
+    const cached = (name, compute) => (data) => {
+        const { results } = indexHierarchy(data);
+        if (!results.has(name)) results.set(name, compute(data, indexHierarchy(data)));
+        return results.get(name);
+    };
+
+    const sum = (values) => values.reduce((total, value) => total + value, 0);
+    const max = (values) => values.reduce((highest, value) => value > highest ? value : highest, 0);
+    // Names and categories are optional in the export and may arrive as numbers, so they are compared as text.
+    const compareText = (a, b) => String(a ?? '').localeCompare(String(b ?? ''), undefined, { numeric: true });
+
+    // --- STUDENTS ---
+
+    const summarizeStudents = cached('students', (data, index) => Array.from(index.students.values()).map(records => {
+        const { userId, userName } = records[0].user;
+        const accuracies = records.map(r => r.user.accuracy).filter(a => a > 0);
+        const totalTimeSeconds = sum(records.map(r => r.user.totalTimeSpentSeconds));
+        const strugglingFlags = records.filter(r => r.user.isStruggling).map(r => ({ unitName: r.unit.unitName, reason: r.user.flag ? r.user.flag.reason : '' }));
+        const avgAccuracy = calculateAverage(accuracies);
+        const { statusId, status, flag } = classifyStudentStatus(rulesOf(data), { avgAccuracy, strugglingFlags });
+        return {
+            userId, userName, avgAccuracy, avgCompletion: calculateAverage(records.map(r => r.user.completion)),
+            totalTimeSeconds, totalTimeSpent: formatSecondsToDuration(totalTimeSeconds), unitCount: records.length,
+            isStruggling: statusId === 'struggling', statusId, status, flag,
+        };
+    }));
+
+    const studentSummariesById = cached('studentsById', (data) => new Map(summarizeStudents(data).map(summary => [summary.userId, summary])));
+
+    // Reads only the selected student's own unit records, so opening a report costs the same however large the cohort is.
+    function buildStudentDiagnostic(data, userId) {
+        const summary = studentSummariesById(data).get(userId);
+        if (!summary) return null;
+        const { students, categoryAccuracies } = indexHierarchy(data);
+        let totalAttempts = 0, activityCount = 0;
+        const conceptMap = new Map(), chapters = [];
+
+        students.get(userId).forEach(({ chapter, unit, user }) => {
+            if (chapters.length === 0 || chapters[chapters.length - 1].chapterId !== chapter.chapterId) chapters.push({ chapterId: chapter.chapterId, chapterNo: chapter.chapterNo, chapterName: chapter.chapterName, units: [] });
+            const unitAttempts = sum(user.activities.map(act => Number(act.totalAttempts) || 0));
+            totalAttempts += unitAttempts;
+            activityCount += user.activities.length;
+            user.activities.forEach(act => act.performanceByCategory.forEach(cat => cat.components.forEach(comp => comp.elements.forEach(el => {
+                if (!conceptMap.has(el.elementId)) conceptMap.set(el.elementId, { elementId: el.elementId, name: el.elementName, category: cat.category, componentName: comp.componentName, accuracies: [] });
+                conceptMap.get(el.elementId).accuracies.push(el.accuracy);
+            }))));
+            chapters[chapters.length - 1].units.push({
+                unitId: unit.unitId, unitNo: unit.unitNo, unitName: unit.unitName,
+                accuracy: user.accuracy, completion: user.completion, totalAttempts: unitAttempts,
+                cohortAccuracy: unit.avgAccuracy, cohortCompletion: calculateAverage(unit.users.map(u => u.completion)),
+                accuracyDelta: user.accuracy - unit.avgAccuracy,
+                activities: user.activities.map(act => ({ activityName: act.activityName, accuracy: act.accuracy, totalAttempts: act.totalAttempts })),
+            });
+        });
+
+        const concepts = Array.from(conceptMap.values()).map(c => ({ elementId: c.elementId, name: c.name, category: c.category, componentName: c.componentName, accuracy: calculateAverage(c.accuracies) }));
+        const strugglingConcepts = concepts
+            .filter(c => isStrugglingConcept(rulesOf(data), c.accuracy))
+            .sort((a, b) => a.accuracy - b.accuracy);
+
+        // Per-category profile against the cohort, with the learner's weakest concept in each category as the place to start.
+        const categories = Array.from(categoryAccuracies.keys()).map(category => {
+            const inCategory = concepts.filter(c => c.category === category);
+            if (inCategory.length === 0) return null;
+            const weakest = inCategory.reduce((min, c) => c.accuracy < min.accuracy ? c : min);
+            return { category, accuracy: calculateAverage(inCategory.map(c => c.accuracy)), cohortAccuracy: calculateAverage(categoryAccuracies.get(category)), weakestConcept: { elementId: weakest.elementId, name: weakest.name, accuracy: weakest.accuracy } };
+        }).filter(Boolean).sort((a, b) => compareText(a.category, b.category));
+
+        const avgAttemptsPerActivity = totalAttempts / (activityCount || 1);
+        const learningPattern = classifyLearningPattern(rulesOf(data), { avgAccuracy: summary.avgAccuracy, avgAttemptsPerActivity });
+
+        return { ...summary, totalAttempts, learningPattern, strugglingConcepts, categories, chapters };
+    }
+
+    // --- CONCEPTS & ACTIVITIES ---
+
+    // Every element occurrence is one learner working through one activity, so its attempts are that activity's attempts.
+    const newConceptStats = () => ({ accuracies: [], samples: [], attempts: [], learners: new Set(), activities: new Set() });
+    const addConceptSample = (stats, { unit, user, activity, el }) => {
+        if (el.accuracy > 0) {
+            stats.accuracies.push(el.accuracy);
+            stats.samples.push({ userId: user.userId, accuracy: el.accuracy });
+        }
+        stats.attempts.push(Number(activity.totalAttempts) || 0);
+        stats.learners.add(user.userId);
+        stats.activities.add(`${unit.unitId}|${activity.activityId}`);
+    };
+    const summarizeConceptStats = (rules, stats) => {
+        const avgAccuracy = calculateAverage(stats.accuracies);
+        const avgAttempts = calculateAverage(stats.attempts);
+        const difficulty = (100 - avgAccuracy) * (avgAttempts > 1 ? avgAttempts : 1.1);
+        const { band, reason } = classifyDifficulty(rules, difficulty);
+        return {
+            avgAccuracy, avgAttempts, totalAttempts: sum(stats.attempts), maxAttempts: max(stats.attempts),
+            learnerCount: stats.learners.size, activityCount: stats.activities.size, difficulty, difficultyBand: band, difficultyReason: reason,
+        };
+    };
+
+    const analyzeConcepts = cached('concepts', (data, index) => Array.from(index.concepts.values()).map(occurrences => {
+        const { el, cat, comp } = occurrences[0];
+        const stats = newConceptStats();
+        occurrences.forEach(occurrence => addConceptSample(stats, occurrence));
+        return {
+            elementId: el.elementId, name: el.elementName, category: cat.category, componentId: comp.componentId, componentName: comp.componentName,
+            accuracies: stats.accuracies, samples: stats.samples, attempts: stats.attempts, ...summarizeConceptStats(rulesOf(data), stats),
+        };
+    }));
+
+    // Category → component (ConceptParentId) → element, each level rolled up from the element occurrences beneath it.
+    const buildConceptTree = cached('conceptTree', (data, index) => {
+        const rules = rulesOf(data);
+        const categories = new Map();
+        index.concepts.forEach(occurrences => occurrences.forEach(occurrence => {
+            const { cat, comp, el } = occurrence;
+            if (!categories.has(cat.category)) categories.set(cat.category, { category: cat.category, stats: newConceptStats(), components: new Map() });
+            const category = categories.get(cat.category);
+            if (!category.components.has(comp.componentId)) category.components.set(comp.componentId, { componentId: comp.componentId, componentName: comp.componentName, stats: newConceptStats(), elements: new Map() });
+            const component = category.components.get(comp.componentId);
+            if (!component.elements.has(el.elementId)) component.elements.set(el.elementId, { elementId: el.elementId, name: el.elementName, stats: newConceptStats() });
+            [category.stats, component.stats, component.elements.get(el.elementId).stats].forEach(stats => addConceptSample(stats, occurrence));
+        }));
+
+        const byName = (key) => (a, b) => compareText(a[key], b[key]);
+        return Array.from(categories.values()).map(category => ({
+            category: category.category, ...summarizeConceptStats(rules, category.stats),
+            components: Array.from(category.components.values()).map(component => ({
+                componentId: component.componentId, componentName: component.componentName, ...summarizeConceptStats(rules, component.stats),
+                elements: Array.from(component.elements.values()).map(el => ({ elementId: el.elementId, name: el.name, category: category.category, componentName: component.componentName, ...summarizeConceptStats(rules, el.stats) })),
+            })).sort(byName('componentName')),
+        })).sort(byName('category'));
+    });
+
+    const analyzeActivities = cached('activities', (data, index) => Array.from(index.activities.entries()).map(([name, results]) => {
+        const avgAccuracy = calculateAverage(results.map(r => r.activity.accuracy));
+        const avgAttempts = calculateAverage(results.map(r => Number(r.activity.totalAttempts) || 0));
+        const effectiveness = classifyEffectiveness(rulesOf(data), { avgAccuracy, avgAttempts });
+        const samples = results.map(({ unit, user, activity }) => ({ userId: user.userId, userName: user.userName, unitId: unit.unitId, unitName: unit.unitName, accuracy: activity.accuracy }));
+        return { name, avgAccuracy, avgAttempts, effectiveness, samples };
+    }));
+
+    // Average concept accuracy per unit, for the concept × unit heatmap.
+    const buildConceptUnitMatrix = cached('conceptUnitMatrix', (data, index) => {
+        const units = data.chapters.flatMap(ch => ch.units.map(unit => ({ unitId: unit.unitId, unitNo: unit.unitNo, unitName: unit.unitName, chapterNo: ch.chapterNo, chapterName: ch.chapterName })));
+        const concepts = [], cells = [];
+        index.concepts.forEach((occurrences, elementId) => {
+            const { el, cat } = occurrences[0];
+            concepts.push({ elementId, name: el.elementName, category: cat.category });
+            const byUnit = new Map();
+            occurrences.forEach(({ unit, user, el: element }) => {
+                if (!byUnit.has(unit.unitId)) byUnit.set(unit.unitId, { accuracies: [], learners: new Set() });
+                byUnit.get(unit.unitId).accuracies.push(element.accuracy);
+                byUnit.get(unit.unitId).learners.add(user.userId);
+            });
+            byUnit.forEach((cell, unitId) => cells.push({ elementId, unitId, accuracy: calculateAverage(cell.accuracies), learners: cell.learners.size }));
+        });
+        return {
+            units,
+            concepts: concepts.sort((a, b) => compareText(a.category, b.category) || compareText(a.name, b.name)),
+            cells,
+        };
+    });
+
+    return { indexHierarchy, summarizeStudents, buildStudentDiagnostic, analyzeConcepts, buildConceptTree, analyzeActivities, buildConceptUnitMatrix };
+});
@@ -0,0 +1,82 @@
+// Times the analytics pipeline on a large synthetic export, so performance changes can be measured rather than guessed.
+//   node analytics-benchmark.js [rows=200000] [learners=2000]
+// Rows are spread over 4 chapters × 5 units × 5 activity types × concepts, with the learner count fixed, so larger
+// exports mean more concepts per activity. Every row carries an attempt timestamp and one of four sections, which exercises
+// the trends and group comparison code too.
+// Everything runs synchronously here. In the browser a url source is fetched, parsed and built inside the worker, which then
+// posts the hierarchy back; the structuredClone steps time that copy, and the copy posting already-loaded rows to a worker
+// would cost (the reason array and loader-function sources are built on the main thread instead).
+const { validateFlatData, buildLearningHierarchy, filterHierarchy } = require('./hierarchy-builder.js');
+const { summarizeStudents, buildStudentDiagnostic, analyzeConcepts, buildConceptTree, analyzeActivities, buildConceptUnitMatrix } = require('./analytics-aggregations.js');
+const { buildTrends } = require('./analytics-trends.js');
+const { compareGroups } = require('./analytics-compare.js');
+
+const CHAPTERS = 4, UNITS = 5, ACTIVITY_TYPES = ['Quiz', 'Video', 'Flashcards', 'Reading', 'Practice'];
+const CATEGORIES = ['Grammar', 'Vocabulary', 'Listening', 'Reading'];
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// --- SYNTHETIC DATA ---
+
+const generateRows = (rowCount, learners) => {
+    let seed = 42;
+    const random = () => (seed = (seed * 16807) % 2147483647) / 2147483647;
+    const percent = () => String(Math.round(random() * 100));
+    const perUnit = Math.max(1, Math.floor(rowCount / (CHAPTERS * UNITS * learners)));
+    const conceptsPerActivity = Math.max(1, Math.ceil(perUnit / ACTIVITY_TYPES.length));
+    const start = Date.UTC(2026, 0, 1);
+    const rows = [];
+
+    for (let c = 1; c <= CHAPTERS; c++) for (let u = 1; u <= UNITS; u++) for (let p = 1; p <= learners && rows.length < rowCount; p++) {
+        const unitId = 1000 + c * 10 + u;
+        for (let i = 0; i < perUnit && rows.length < rowCount; i++) {
+            const a = i % ACTIVITY_TYPES.length, k = Math.floor(i / ACTIVITY_TYPES.length) % conceptsPerActivity;
+            const conceptId = 10000 + k;
+            rows.push({
+                ChapterId: 100 + c, ChapterNo: c, ChapterName: `Chapter ${c}`,
+                UnitId: unitId, UnitNo: u, UnitName: `Unit ${c}.${u}`,
+                ActivityTypeId: a + 1, ActivityTypeName: ACTIVITY_TYPES[a], SequenceBuilderID: unitId * 10 + a,
+                ConceptId: conceptId, ConceptName: `Concept ${k}`, ConceptCategory: CATEGORIES[k % CATEGORIES.length], ConceptParentId: 900 + (k % 12), ConceptParentName: `Component ${k % 12}`,
+                UserId: p, UserFullName: `Learner ${p}`, Section: `Section ${(p % 4) + 1}`,
+                UnitCompletionPercentage: percent(), UnitAccuracyPercentage: percent(), UnitTimeSpent: { hours: 0, minutes: Math.round(random() * 59), seconds: 0 },
+                ActivityTypeAccuracyPercentage: percent(), ActivityTotalAttempts: 1 + Math.round(random() * 9), ConceptAccuracyPercentage: percent(),
+                AttemptTimestamp: new Date(start + ((c - 1) * UNITS + u) * 7 * DAY_MS + Math.round(random() * 6 * DAY_MS)).toISOString(),
+            });
+        }
+    }
+    return rows;
+};
+
+// --- TIMING ---
+
+const results = [];
+const measure = (step, run) => {
+    const started = process.hrtime.bigint();
+    const value = run();
+    results.push({ step, ms: Number((Number(process.hrtime.bigint() - started) / 1e6).toFixed(1)) });
+    return value;
+};
+
+const rowCount = Number(process.argv[2]) || 200000;
+const learners = Number(process.argv[3]) || 2000;
+
+const rows = measure('generate rows', () => generateRows(rowCount, learners));
+const json = measure('JSON.stringify (export size)', () => JSON.stringify(rows));
+measure('JSON.parse (worker side)', () => JSON.parse(json));
+measure('validateFlatData', () => validateFlatData(rows));
+const { hierarchy, report } = measure('buildLearningHierarchy', () => buildLearningHierarchy(rows, { groupBy: 'Section' }));
+measure('structuredClone rows (posting rows to a worker)', () => structuredClone(rows));
+measure('structuredClone result (worker posting back)', () => structuredClone({ hierarchy, report }));
+measure('summarizeStudents', () => summarizeStudents(hierarchy));
+measure('summarizeStudents (cached)', () => summarizeStudents(hierarchy));
+measure('analyzeConcepts', () => analyzeConcepts(hierarchy));
+measure('buildConceptTree', () => buildConceptTree(hierarchy));
+measure('analyzeActivities', () => analyzeActivities(hierarchy));
+measure('buildConceptUnitMatrix', () => buildConceptUnitMatrix(hierarchy));
+measure('buildStudentDiagnostic × 100', () => { for (let p = 1; p <= 100; p++) buildStudentDiagnostic(hierarchy, String(p)); });
+measure('buildTrends', () => buildTrends(hierarchy));
+measure('compareGroups (4 sections)', () => compareGroups(hierarchy));
+const filtered = measure('filterHierarchy (chapter + search)', () => filterHierarchy(hierarchy, { chapterId: '101', studentSearch: 'learner 1' }));
+measure('summarizeStudents (filtered)', () => summarizeStudents(filtered));
+
+console.log(`${rows.length} rows, ${learners} learners, ${(json.length / 1024 / 1024).toFixed(1)} MB of JSON`);
+console.table(results);
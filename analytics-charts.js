@@ -0,0 +1,183 @@
+// Dependency-free SVG charts. Each function returns markup only; the component wires up tooltips ([data-tooltip]) and
+// navigation ([data-nav-type] / [data-nav-id]) with delegated listeners, so charts survive re-renders without rebinding.
+(function(root, factory) {
+    if (typeof module === 'object' && module.exports) module.exports = factory(require('./analytics-templates.js'));
+    else root.AnalyticsCharts = factory(root.AnalyticsTemplates);
+})(typeof self !== 'undefined' ? self : this, function(AnalyticsTemplates) {
+    const { escapeHTML } = AnalyticsTemplates;
+    const WIDTH = 640, HEIGHT = 320;
+    const MARGIN = { top: 16, right: 20, bottom: 44, left: 52 };
+
+    const round = (value, digits = 1) => Math.round(value * 10 ** digits) / 10 ** digits;
+    const scale = ([d0, d1], [r0, r1]) => (value) => round(d1 === d0 ? (r0 + r1) / 2 : r0 + (value - d0) / (d1 - d0) * (r1 - r0));
+    const niceMax = (value) => {
+        if (!(value > 0)) return 1;
+        const step = 10 ** Math.floor(Math.log10(value));
+        return Math.ceil(value / step) * step;
+    };
+    const ticks = (max, count = 4) => Array.from({ length: count + 1 }, (_, i) => max / count * i);
+    const percent = (value) => `${round(value)}%`;
+
+    // Marks carry their tooltip text and, when clicking them should open something, a { type, id } target.
+    const interactive = ({ tooltip, target }) => `data-tooltip="${escapeHTML(tooltip)}"${target ? ` data-nav-type="${target.type}" data-nav-id="${escapeHTML(target.id)}"` : ''}`;
+    const markClass = (base, mark) => `${base}${mark.target ? ' navigable' : ''}${mark.className ? ` ${mark.className}` : ''}`;
+
+    const svg = (title, body, width = WIDTH, height = HEIGHT) => `<svg class="analytics-chart" viewBox="0 0 ${width} ${height}" role="img" aria-label="${escapeHTML(title)}">${body}</svg>`;
+
+    const axes = ({ x, y, xTicks, yTicks, xFormat = String, yFormat = String, xLabel, yLabel }) => {
+        const left = MARGIN.left, right = WIDTH - MARGIN.right, bottom = HEIGHT - MARGIN.bottom;
+        return `
+            <g class="chart-grid">${yTicks.map(t => `<line x1="${left}" x2="${right}" y1="${y(t)}" y2="${y(t)}"/>`).join('')}</g>
+            <g class="chart-axis">
+                <line x1="${left}" x2="${right}" y1="${bottom}" y2="${bottom}"/>
+                <line x1="${left}" x2="${left}" y1="${MARGIN.top}" y2="${bottom}"/>
+                ${(xTicks || []).map(t => `<text x="${x(t)}" y="${bottom + 16}" text-anchor="middle">${escapeHTML(xFormat(t))}</text>`).join('')}
+                ${yTicks.map(t => `<text x="${left - 6}" y="${y(t) + 4}" text-anchor="end">${escapeHTML(yFormat(t))}</text>`).join('')}
+                <text class="chart-axis-label" x="${(left + right) / 2}" y="${HEIGHT - 6}" text-anchor="middle">${escapeHTML(xLabel)}</text>
+                <text class="chart-axis-label" transform="translate(14 ${(MARGIN.top + bottom) / 2}) rotate(-90)" text-anchor="middle">${escapeHTML(yLabel)}</text>
+            </g>`;
+    };
+
+    const legend = (series, x, y) => `<g class="chart-legend">${series.map((s, i) => `
+        <rect class="chart-series-${i}" x="${x}" y="${y + i * 18}" width="12" height="12" rx="2"/>
+        <text x="${x + 18}" y="${y + i * 18 + 10}">${escapeHTML(s.name)}</text>`).join('')}</g>`;
+
+    // --- SCATTER ---
+
+    // Points are { x, y, tooltip, target, highlight }; guides are reference lines ({ axis: 'x' | 'y', value, label }).
+    const scatterChart = (points, { title, xLabel, yLabel, xFormat = String, yFormat = percent, yMax = 100, guides = [] }) => {
+        const xMax = niceMax(Math.max(0, ...points.map(p => p.x), ...guides.filter(g => g.axis === 'x').map(g => g.value)));
+        const x = scale([0, xMax], [MARGIN.left, WIDTH - MARGIN.right]);
+        const y = scale([0, yMax], [HEIGHT - MARGIN.bottom, MARGIN.top]);
+        const guideLines = guides.map(g => g.axis === 'x'
+            ? `<line class="chart-guide" x1="${x(g.value)}" x2="${x(g.value)}" y1="${MARGIN.top}" y2="${HEIGHT - MARGIN.bottom}"/><text class="chart-guide-label" x="${x(g.value) + 4}" y="${MARGIN.top + 10}">${escapeHTML(g.label)}</text>`
+            : `<line class="chart-guide" x1="${MARGIN.left}" x2="${WIDTH - MARGIN.right}" y1="${y(g.value)}" y2="${y(g.value)}"/><text class="chart-guide-label" x="${WIDTH - MARGIN.right}" y="${y(g.value) - 4}" text-anchor="end">${escapeHTML(g.label)}</text>`).join('');
+        // Highlighted points are drawn last so they stay on top.
+        const marks = [...points].sort((a, b) => Number(Boolean(a.highlight)) - Number(Boolean(b.highlight)))
+            .map(p => `<circle class="${markClass('chart-point', p)}${p.highlight ? ' highlight' : ''}" cx="${x(p.x)}" cy="${y(p.y)}" r="${p.highlight ? 7 : 5}" ${interactive(p)}/>`).join('');
+        return svg(title, axes({ x, y, xTicks: ticks(xMax), yTicks: ticks(yMax), xFormat, yFormat, xLabel, yLabel }) + guideLines + marks);
+    };
+
+    // --- HISTOGRAM ---
+
+    // Items are { value, name, target, className }; each bar opens the highest-valued item in its bin.
+    const histogram = (items, { title, xLabel, yLabel = 'Count', binCount = 8 }) => {
+        // Bin edges land on round numbers; the bin count is a target rather than a guarantee.
+        const binWidth = niceMax(Math.max(0, ...items.map(i => i.value)) / binCount);
+        const count = Math.max(1, Math.ceil(Math.max(0, ...items.map(i => i.value)) / binWidth));
+        const xMax = count * binWidth;
+        const bins = Array.from({ length: count }, (_, i) => ({ from: i * binWidth, to: (i + 1) * binWidth, items: [] }));
+        items.forEach(item => bins[Math.min(Math.floor(item.value / binWidth), count - 1)].items.push(item));
+        const yMax = Math.max(4, Math.ceil(Math.max(0, ...bins.map(b => b.items.length)) / 4) * 4);
+        const x = scale([0, xMax], [MARGIN.left, WIDTH - MARGIN.right]);
+        const y = scale([0, yMax], [HEIGHT - MARGIN.bottom, MARGIN.top]);
+        const bars = bins.filter(bin => bin.items.length > 0).map(bin => {
+            const sorted = [...bin.items].sort((a, b) => b.value - a.value);
+            const tooltip = `${Math.round(bin.from)}–${Math.round(bin.to)}: ${sorted.map(i => i.name).join(', ')}`;
+            return `<rect class="${markClass('chart-bar', { target: sorted[0].target, className: sorted[0].className })}" x="${x(bin.from) + 1}" y="${y(bin.items.length)}" width="${round(x(bin.to) - x(bin.from) - 2)}" height="${round(y(0) - y(bin.items.length))}" ${interactive({ tooltip, target: sorted[0].target })}/>`;
+        }).join('');
+        return svg(title, axes({ x, y, xTicks: bins.map(b => b.from).concat(xMax), yTicks: ticks(yMax), xFormat: v => Math.round(v), xLabel, yLabel }) + bars);
+    };
+
+    // --- HEATMAP ---
+
+    // rows and columns are { id, label, target }; cellAt(rowId, columnId) returns { value, tooltip } or null.
+    const heatmap = (rows, columns, cellAt, { title, rowWidth = 150, cellWidth = 44, cellHeight = 24 }) => {
+        const top = 28, width = rowWidth + columns.length * cellWidth + 8, height = top + rows.length * cellHeight + 8;
+        const heat = (value) => `hsl(${Math.round(Math.max(0, Math.min(100, value)) * 1.2)}, 70%, 60%)`;
+        const headers = columns.map((column, c) => `<text class="${markClass('chart-heat-label', column)}" x="${rowWidth + c * cellWidth + cellWidth / 2}" y="${top - 10}" text-anchor="middle" ${interactive({ tooltip: column.tooltip || column.label, target: column.target })}>${escapeHTML(column.label)}</text>`).join('');
+        const body = rows.map((row, r) => {
+            const cy = top + r * cellHeight;
+            const cells = columns.map((column, c) => {
+                const cell = cellAt(row.id, column.id);
+                const cx = rowWidth + c * cellWidth;
+                if (!cell) return `<rect class="chart-heat-empty" x="${cx + 1}" y="${cy + 1}" width="${cellWidth - 2}" height="${cellHeight - 2}"/>`;
+                return `<rect class="${markClass('chart-heat-cell', row)}" x="${cx + 1}" y="${cy + 1}" width="${cellWidth - 2}" height="${cellHeight - 2}" fill="${heat(cell.value)}" ${interactive({ tooltip: cell.tooltip, target: row.target })}/>`;
+            }).join('');
+            return `<text class="${markClass('chart-heat-label', row)}" x="${rowWidth - 8}" y="${cy + cellHeight / 2 + 4}" text-anchor="end" ${interactive({ tooltip: row.tooltip || row.label, target: row.target })}>${escapeHTML(row.label)}</text>${cells}`;
+        }).join('');
+        return svg(title, headers + body, width, height);
+    };
+
+    // --- BOX PLOT ---
+
+    const quantile = (sorted, q) => {
+        const position = (sorted.length - 1) * q;
+        const lower = Math.floor(position), upper = Math.ceil(position);
+        return sorted[lower] + (sorted[upper] - sorted[lower]) * (position - lower);
+    };
+
+    // Whiskers follow Tukey's rule: values beyond 1.5 × IQR from the box are drawn as outliers.
+    const fiveNumberSummary = (values) => {
+        const sorted = [...values].sort((a, b) => a - b);
+        if (sorted.length === 0) return null;
+        const q1 = quantile(sorted, 0.25), median = quantile(sorted, 0.5), q3 = quantile(sorted, 0.75);
+        const fence = 1.5 * (q3 - q1);
+        const inside = sorted.filter(v => v >= q1 - fence && v <= q3 + fence);
+        return { min: inside[0], q1, median, q3, max: inside[inside.length - 1], lowerFence: q1 - fence, upperFence: q3 + fence, count: sorted.length };
+    };
+
+    // Groups are { label, target, samples: [{ value, tooltip, target }] }; outlying samples stay individually clickable.
+    const boxPlot = (groups, { title, xLabel, yLabel, yMax = 100, yFormat = percent }) => {
+        const bandWidth = (WIDTH - MARGIN.left - MARGIN.right) / Math.max(groups.length, 1);
+        const y = scale([0, yMax], [HEIGHT - MARGIN.bottom, MARGIN.top]);
+        const boxes = groups.map((group, i) => {
+            const summary = fiveNumberSummary(group.samples.map(s => s.value));
+            if (!summary) return '';
+            const center = round(MARGIN.left + bandWidth * (i + 0.5)), half = round(Math.min(bandWidth * 0.3, 40));
+            const tooltip = `${group.label}: median ${percent(summary.median)}, middle half ${percent(summary.q1)}–${percent(summary.q3)}, range ${percent(summary.min)}–${percent(summary.max)} (${summary.count} results)`;
+            const outliers = group.samples.filter(s => s.value < summary.lowerFence || s.value > summary.upperFence)
+                .map(s => `<circle class="${markClass('chart-outlier', s)}" cx="${center}" cy="${y(s.value)}" r="4" ${interactive(s)}/>`).join('');
+            return `
+                <g class="chart-box">
+                    <line class="chart-whisker" x1="${center}" x2="${center}" y1="${y(summary.min)}" y2="${y(summary.q1)}"/>
+                    <line class="chart-whisker" x1="${center}" x2="${center}" y1="${y(summary.q3)}" y2="${y(summary.max)}"/>
+                    <line class="chart-whisker" x1="${center - half / 2}" x2="${center + half / 2}" y1="${y(summary.min)}" y2="${y(summary.min)}"/>
+                    <line class="chart-whisker" x1="${center - half / 2}" x2="${center + half / 2}" y1="${y(summary.max)}" y2="${y(summary.max)}"/>
+                    <rect class="${markClass('chart-box-body', group)}" x="${center - half}" y="${y(summary.q3)}" width="${half * 2}" height="${Math.max(round(y(summary.q1) - y(summary.q3)), 1)}" ${interactive({ tooltip, target: group.target })}/>
+                    <line class="chart-median" x1="${center - half}" x2="${center + half}" y1="${y(summary.median)}" y2="${y(summary.median)}"/>
+                    ${outliers}
+                </g>`;
+        }).join('');
+        const labels = groups.map((group, i) => `<text class="chart-axis" x="${round(MARGIN.left + bandWidth * (i + 0.5))}" y="${HEIGHT - MARGIN.bottom + 16}" text-anchor="middle">${escapeHTML(group.label)}</text>`).join('');
+        return svg(title, axes({ x: null, y, yTicks: ticks(yMax), yFormat, xLabel, yLabel }) + labels + boxes);
+    };
+
+    // --- CATEGORY PROFILES ---
+
+    // axes are { label, values: [per series], tooltip, target }; series are { name } and are drawn in order.
+    const radarChart = (categoryAxes, series, { title, max = 100 }) => {
+        const width = 540, height = 320, cx = 220, cy = 160, radius = 110;
+        const angle = (i) => -Math.PI / 2 + (2 * Math.PI * i) / categoryAxes.length;
+        const at = (i, value) => [round(cx + Math.cos(angle(i)) * radius * value / max), round(cy + Math.sin(angle(i)) * radius * value / max)];
+        const rings = ticks(max).slice(1).map(t => `<polygon class="chart-grid" points="${categoryAxes.map((_, i) => at(i, t).join(',')).join(' ')}"/>`).join('');
+        const spokes = categoryAxes.map((axis, i) => {
+            const [x, y] = at(i, max), [lx, ly] = at(i, max * 1.16);
+            return `<line class="chart-grid" x1="${cx}" y1="${cy}" x2="${x}" y2="${y}"/><text class="chart-axis" x="${lx}" y="${ly + 4}" text-anchor="${Math.abs(lx - cx) < 4 ? 'middle' : lx > cx ? 'start' : 'end'}">${escapeHTML(axis.label)}</text>`;
+        }).join('');
+        const shapes = series.map((s, n) => {
+            const points = categoryAxes.map((axis, i) => at(i, axis.values[n] ?? 0));
+            const vertices = points.map(([x, y], i) => `<circle class="${markClass(`chart-vertex chart-series-${n}`, categoryAxes[i])}" cx="${x}" cy="${y}" r="4" ${interactive(categoryAxes[i])}/>`).join('');
+            return `<polygon class="chart-area chart-series-${n}" points="${points.map(p => p.join(',')).join(' ')}"/>${vertices}`;
+        }).join('');
+        return svg(title, rings + spokes + shapes + legend(series, width - 120, 12), width, height);
+    };
+
+    // Horizontal grouped bars; the fallback for profiles with fewer than three categories, where a radar has no area.
+    const barChart = (categoryAxes, series, { title, max = 100, labelWidth = 130 }) => {
+        const barHeight = 14, groupHeight = series.length * barHeight + 12, legendHeight = series.length * 18 + 6;
+        const width = WIDTH, height = legendHeight + categoryAxes.length * groupHeight + 24;
+        const x = scale([0, max], [labelWidth, width - MARGIN.right]);
+        const bars = categoryAxes.map((axis, i) => {
+            const top = legendHeight + i * groupHeight;
+            return `<text class="chart-axis" x="${labelWidth - 8}" y="${top + groupHeight / 2}" text-anchor="end">${escapeHTML(axis.label)}</text>` + series.map((s, n) => {
+                const value = axis.values[n] ?? 0;
+                return `<rect class="${markClass(`chart-bar chart-series-${n}`, axis)}" x="${labelWidth}" y="${top + n * barHeight}" width="${Math.max(round(x(value) - labelWidth), 1)}" height="${barHeight - 2}" ${interactive(axis)}/>`;
+            }).join('');
+        }).join('');
+        const scaleLabels = ticks(max).map(t => `<text class="chart-axis" x="${x(t)}" y="${height - 8}" text-anchor="middle">${escapeHTML(percent(t))}</text>`).join('');
+        return svg(title, legend(series, labelWidth, 4) + bars + scaleLabels, width, height);
+    };
+
+    return { scatterChart, histogram, heatmap, boxPlot, radarChart, barChart, fiveNumberSummary };
+});
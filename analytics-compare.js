@@ -0,0 +1,213 @@
+// Cohort / section comparison: the same unit, concept and activity measures side by side for two or more learner groups,
+// each difference tested for significance rather than shown as raw averages alone.
+// Groups come from the builder's groupBy option:
+//   const { hierarchy } = buildLearningHierarchy(rows, { groupBy: 'Section' });
+//   const comparison = compareGroups(hierarchy, ['A', 'B']);
+(function(root, factory) {
+    if (typeof module === 'object' && module.exports) module.exports = factory(require('./hierarchy-builder.js'), require('./analytics-aggregations.js'), require('./analytics-rules.js'));
+    else root.AnalyticsCompare = factory(root.LearningHierarchy, root.AnalyticsAggregations, root.AnalyticsRules);
+})(typeof self !== 'undefined' ? self : this, function(LearningHierarchy, AnalyticsAggregations, AnalyticsRules) {
+    const { calculateAverage, filterHierarchy } = LearningHierarchy;
+    const { analyzeConcepts, analyzeActivities } = AnalyticsAggregations;
+    const { DEFAULT_RULES, classifyGroupDifference } = AnalyticsRules;
+    const rulesOf = (data) => data.rules || DEFAULT_RULES;
+
+    // --- DISTRIBUTIONS ---
+
+    // Lanczos approximation of ln Γ(x) and the continued fraction for the regularised incomplete beta function I_x(a, b),
+    // which gives the tail probabilities of both the t and the F distribution.
+    const LANCZOS = [76.18009172947146, -86.50532032941677, 24.01409824083091, -1.231739572450155, 0.1208650973866179e-2, -0.5395239384953e-5];
+    const logGamma = (x) => {
+        const tmp = x + 5.5 - (x + 0.5) * Math.log(x + 5.5);
+        const series = LANCZOS.reduce((total, c, j) => total + c / (x + j + 1), 1.000000000190015);
+        return -tmp + Math.log(2.5066282746310005 * series / x);
+    };
+
+    const betaContinuedFraction = (a, b, x) => {
+        const TINY = 1e-30, EPSILON = 3e-12;
+        const clamp = (v) => Math.abs(v) < TINY ? TINY : v;
+        let c = 1, d = 1 / clamp(1 - (a + b) * x / (a + 1)), h = d;
+        for (let m = 1; m <= 200; m++) {
+            const even = m * (b - m) * x / ((a + 2 * m - 1) * (a + 2 * m));
+            d = 1 / clamp(1 + even * d);
+            c = clamp(1 + even / c);
+            h *= d * c;
+            const odd = -(a + m) * (a + b + m) * x / ((a + 2 * m) * (a + 2 * m + 1));
+            d = 1 / clamp(1 + odd * d);
+            c = clamp(1 + odd / c);
+            h *= d * c;
+            if (Math.abs(d * c - 1) < EPSILON) break;
+        }
+        return h;
+    };
+
+    const incompleteBeta = (a, b, x) => {
+        if (x <= 0) return 0;
+        if (x >= 1) return 1;
+        const front = Math.exp(logGamma(a + b) - logGamma(a) - logGamma(b) + a * Math.log(x) + b * Math.log(1 - x));
+        return x < (a + 1) / (a + b + 2) ? front * betaContinuedFraction(a, b, x) / a : 1 - front * betaContinuedFraction(b, a, 1 - x) / b;
+    };
+
+    // --- TESTS ---
+    // Both return { name, statistic, df, p }, or null when a group has fewer than two values and no variance can be estimated.
+
+    const variance = (values, mean) => values.reduce((total, v) => total + (v - mean) ** 2, 0) / (values.length - 1);
+
+    // Two groups: Welch's t-test, which does not assume the groups have equal variances or sizes.
+    const welchTTest = (a, b) => {
+        if (a.length < 2 || b.length < 2) return null;
+        const meanA = calculateAverage(a), meanB = calculateAverage(b);
+        const seA = variance(a, meanA) / a.length, seB = variance(b, meanB) / b.length;
+        const se = seA + seB;
+        if (se === 0) return { name: "Welch's t-test", statistic: meanA === meanB ? 0 : Infinity, df: a.length + b.length - 2, p: meanA === meanB ? 1 : 0 };
+        const t = (meanA - meanB) / Math.sqrt(se);
+        const df = se ** 2 / (seA ** 2 / (a.length - 1) + seB ** 2 / (b.length - 1));
+        return { name: "Welch's t-test", statistic: t, df, p: incompleteBeta(df / 2, 0.5, df / (df + t * t)) };
+    };
+
+    // Three or more groups: one-way ANOVA on the group means.
+    const oneWayAnova = (groups) => {
+        if (groups.some(values => values.length < 2)) return null;
+        const all = groups.flat();
+        const grandMean = calculateAverage(all);
+        const between = groups.reduce((total, values) => total + values.length * (calculateAverage(values) - grandMean) ** 2, 0);
+        const within = groups.reduce((total, values) => { const mean = calculateAverage(values); return total + values.reduce((sum, v) => sum + (v - mean) ** 2, 0); }, 0);
+        const dfBetween = groups.length - 1, dfWithin = all.length - groups.length;
+        if (within === 0) return { name: 'One-way ANOVA', statistic: between === 0 ? 0 : Infinity, df: [dfBetween, dfWithin], p: between === 0 ? 1 : 0 };
+        const f = (between / dfBetween) / (within / dfWithin);
+        return { name: 'One-way ANOVA', statistic: f, df: [dfBetween, dfWithin], p: incompleteBeta(dfWithin / 2, dfBetween / 2, dfWithin / (dfWithin + dfBetween * f)) };
+    };
+
+    // --- COMPARISONS ---
+
+    // samples: [{ name, values, learners }] in group order. Groups without values stay in byGroup (mean null) but are left out of the test.
+    const compareSamples = (rules, samples) => {
+        const byGroup = samples.map(({ name, values, learners }) => ({ name, n: values.length, learners, mean: values.length > 0 ? calculateAverage(values) : null }));
+        const present = samples.filter(sample => sample.values.length > 0);
+        const means = byGroup.filter(group => group.mean !== null).map(group => group.mean);
+        const test = present.length < 2 ? null : present.length === 2 ? welchTTest(present[0].values, present[1].values) : oneWayAnova(present.map(sample => sample.values));
+        const smallestGroup = present.length > 0 ? Math.min(...present.map(sample => sample.learners)) : 0;
+        return { byGroup, spread: means.length >= 2 ? Math.max(...means) - Math.min(...means) : null, test, smallestGroup, flag: classifyGroupDifference(rules, { test, smallestGroup }) };
+    };
+
+    // Holm's step-down adjustment. A table tests every unit, concept or activity type at once, so some rows would fall below
+    // the significance level by chance alone; adjusting the p-values of one table together keeps the family-wise error rate.
+    const holmAdjust = (pValues) => {
+        const order = pValues.map((p, i) => i).sort((a, b) => pValues[a] - pValues[b]);
+        const adjusted = new Array(pValues.length);
+        let running = 0;
+        order.forEach((index, rank) => {
+            running = Math.max(running, Math.min(1, (pValues.length - rank) * pValues[index]));
+            adjusted[index] = running;
+        });
+        return adjusted;
+    };
+
+    // rows: one table; key: the compareSamples result in each row that belongs to the family (units test accuracy and completion separately).
+    const adjustTable = (rules, rows, key) => {
+        const tested = rows.filter(row => row[key].test);
+        const adjusted = new Map(holmAdjust(tested.map(row => row[key].test.p)).map((p, i) => [tested[i], p]));
+        return rows.map(row => {
+            if (!adjusted.has(row)) return row;
+            const test = { ...row[key].test, adjustedP: adjusted.get(row), comparisons: tested.length };
+            return { ...row, [key]: { ...row[key], test, flag: classifyGroupDifference(rules, { test, smallestGroup: row[key].smallestGroup }) } };
+        });
+    };
+
+    // A learner met in several units or activities is still one observation: their values are averaged first, so every group
+    // passes one value per learner, the test's n matches minGroupSize, and repetition alone can't make a difference significant.
+    const learnerMeans = (samples) => {
+        const byLearner = new Map();
+        samples.forEach(({ userId, accuracy }) => {
+            if (!byLearner.has(userId)) byLearner.set(userId, []);
+            byLearner.get(userId).push(accuracy);
+        });
+        return Array.from(byLearner.values()).map(calculateAverage);
+    };
+    const learnerSample = (name, samples) => {
+        const values = learnerMeans(samples);
+        return { name, values, learners: values.length };
+    };
+
+    // Significant differences first, then the widest spreads.
+    const bySignificance = (key) => (a, b) => Boolean(b[key].flag) - Boolean(a[key].flag) || (b[key].spread ?? -1) - (a[key].spread ?? -1);
+
+    const compareUnits = (data, names) => {
+        const rules = rulesOf(data);
+        const rows = data.chapters.flatMap(chapter => chapter.units.map(unit => {
+            const members = names.map(name => unit.users.filter(user => user.group === name));
+            const samples = (pick) => members.map((users, i) => {
+                const values = users.map(pick).filter(v => v !== null);
+                return { name: names[i], values, learners: values.length };
+            });
+            return {
+                chapterId: chapter.chapterId, chapterNo: chapter.chapterNo, chapterName: chapter.chapterName, unitId: unit.unitId, unitNo: unit.unitNo, unitName: unit.unitName,
+                accuracy: compareSamples(rules, samples(user => user.accuracy > 0 ? user.accuracy : null)),
+                completion: compareSamples(rules, samples(user => user.completion)),
+            };
+        }));
+        return adjustTable(rules, adjustTable(rules, rows, 'accuracy'), 'completion');
+    };
+
+    // Concepts are tested on each learner's mean accuracy; the difficulty index of each group is shown alongside.
+    const compareConcepts = (data, subsets) => {
+        const concepts = new Map();
+        subsets.forEach(({ name, hierarchy }, i) => analyzeConcepts(hierarchy).forEach(item => {
+            if (!concepts.has(item.elementId)) concepts.set(item.elementId, { elementId: item.elementId, name: item.name, category: item.category, perGroup: new Array(subsets.length).fill(null) });
+            concepts.get(item.elementId).perGroup[i] = { name, item };
+        }));
+        const rows = Array.from(concepts.values()).filter(concept => concept.perGroup.filter(Boolean).length >= 2).map(({ perGroup, ...concept }) => {
+            const difficulties = perGroup.filter(Boolean).map(({ item }) => item.difficulty);
+            return {
+                ...concept,
+                byGroup: perGroup.map((entry, i) => entry
+                    ? { name: entry.name, difficulty: entry.item.difficulty, band: entry.item.difficultyBand, accuracy: entry.item.avgAccuracy, learners: entry.item.learnerCount }
+                    : { name: subsets[i].name, difficulty: null, band: null, accuracy: null, learners: 0 }),
+                difficultySpread: Math.max(...difficulties) - Math.min(...difficulties),
+                accuracy: compareSamples(rulesOf(data), perGroup.map((entry, i) => learnerSample(subsets[i].name, entry ? entry.item.samples : []))),
+            };
+        });
+        return adjustTable(rulesOf(data), rows, 'accuracy').sort(bySignificance('accuracy'));
+    };
+
+    const compareActivities = (data, subsets) => {
+        const activities = new Map();
+        subsets.forEach(({ name, hierarchy }, i) => analyzeActivities(hierarchy).forEach(item => {
+            if (!activities.has(item.name)) activities.set(item.name, new Array(subsets.length).fill(null));
+            activities.get(item.name)[i] = { name, item };
+        }));
+        const rows = Array.from(activities.entries()).filter(([, perGroup]) => perGroup.filter(Boolean).length >= 2).map(([activityName, perGroup]) => ({
+            name: activityName,
+            byGroup: perGroup.map((entry, i) => entry
+                ? { name: entry.name, effectiveness: entry.item.effectiveness, accuracy: entry.item.avgAccuracy, attempts: entry.item.avgAttempts }
+                : { name: subsets[i].name, effectiveness: null, accuracy: null, attempts: null }),
+            accuracy: compareSamples(rulesOf(data), perGroup.map((entry, i) => learnerSample(subsets[i].name, entry ? entry.item.samples : []))),
+        }));
+        return adjustTable(rulesOf(data), rows, 'accuracy').sort(bySignificance('accuracy'));
+    };
+
+    // Results are cached per hierarchy and group selection, since hierarchies are never mutated once built or filtered.
+    const compareCache = new WeakMap();
+
+    // Compares the named groups (all groups when omitted) that still have learners in this hierarchy, which may be a filtered copy.
+    const compareGroups = (data, groupNames) => {
+        const known = (data.groups || []).map(group => group.name);
+        const names = (groupNames || known).filter(name => known.includes(name));
+        const key = names.join('\u0000');
+        if (!compareCache.has(data)) compareCache.set(data, new Map());
+        const cache = compareCache.get(data);
+        if (cache.has(key)) return cache.get(key);
+
+        const subsets = names.map(name => ({ name, hierarchy: filterHierarchy(data, { group: name }) })).filter(subset => subset.hierarchy.chapters);
+        const result = {
+            groups: subsets.map(({ name, hierarchy }) => ({ name, learners: hierarchy.noOfLearners, avgAccuracy: hierarchy.avgAccuracy, completion: hierarchy.completion })),
+            units: subsets.length >= 2 ? compareUnits(data, subsets.map(subset => subset.name)) : [],
+            concepts: subsets.length >= 2 ? compareConcepts(data, subsets) : [],
+            activities: subsets.length >= 2 ? compareActivities(data, subsets) : [],
+        };
+        cache.set(key, result);
+        return result;
+    };
+
+    return { compareGroups, compareSamples, holmAdjust, welchTTest, oneWayAnova, incompleteBeta };
+});
@@ -1,95 +1,767 @@
 // Self-invoking function to encapsulate all logic and avoid polluting the global scope.
 (function() {
     // --- STATE & INITIALIZATION ---
-    let fullData;
-    const componentContainer = document.getElementById('course-analytics-component');
-
-    if (!componentContainer) {
-        console.error("Analytics Component container not found.");
+    // Each module script registers one global; the error names the scripts whose global is missing.
+    const REQUIRED_MODULES = [
+        ['AnalyticsRules', 'analytics-rules.js'], ['LearningHierarchy', 'hierarchy-builder.js'], ['AnalyticsAggregations', 'analytics-aggregations.js'],
+        ['AnalyticsTrends', 'analytics-trends.js'], ['AnalyticsTemplates', 'analytics-templates.js'], ['AnalyticsCharts', 'analytics-charts.js'],
+        ['AnalyticsExport', 'analytics-export.js'], ['AnalyticsCompare', 'analytics-compare.js'], ['AnalyticsInterventions', 'analytics-interventions.js'],
+    ];
+    const missingModules = REQUIRED_MODULES.filter(([global]) => !window[global]);
+    if (missingModules.length > 0) {
+        console.error(`Analytics Component can't start: load ${missingModules.map(([global, file]) => `${file} (window.${global})`).join(', ')} before analytics-component.js.`);
         return;
     }
+    const { buildLearningHierarchy, filterHierarchy, truncateToDecimals, parseDurationToSeconds } = window.LearningHierarchy;
+    const { summarizeStudents, buildStudentDiagnostic, analyzeConcepts, buildConceptTree, analyzeActivities, buildConceptUnitMatrix } = window.AnalyticsAggregations;
+    const { buildTrends, compareSnapshots } = window.AnalyticsTrends;
+    const { scatterChart, histogram, heatmap, boxPlot, radarChart, barChart } = window.AnalyticsCharts;
+    const { toTable, toCSV, toXLSX, toStudentReportHTML } = window.AnalyticsExport;
+    const { compareGroups } = window.AnalyticsCompare;
+    const { createIntervention, addNote, assignRemediation, resolveIntervention, reopenIntervention, resolveStorage } = window.AnalyticsInterventions;
+    const { html, raw, render, replace } = window.AnalyticsTemplates;
+    const mountedInstances = new WeakMap();
+    let instanceCount = 0;
+    // The instance that keeps the bare hash keys (see URL STATE); null when none does.
+    let hashOwner = null;
+    // The worker script sits next to this file; resolved up front because document.currentScript is only set while this script runs.
+    const WORKER_URL = new URL('hierarchy-worker.js', (document.currentScript && document.currentScript.src) || document.baseURI).toString();
 
-    document.addEventListener('DOMContentLoaded', () => {
-        showLoadingState();
-        fetch('output.json')
-            .then(response => {
-                if (!response.ok) throw new Error(`HTTP error! Status: ${response.status}`);
-                return response.json();
-            })
-            .then(flatData => {
-                fullData = getLearningSystemHierarchy(flatData);
-                if (fullData.message) {
-                    showErrorState(fullData.message);
+    const DEFAULT_FILTERS = { chapterId: '', unitId: '', activityType: '', conceptCategory: '', group: '', studentSearch: '', accuracyMin: '', accuracyMax: '', completionMin: '', completionMax: '' };
+    const TABS = [
+        { view: 'overview', icon: 'trello', label: 'Course Overview' },
+        { view: 'students', icon: 'users', label: 'Student Analysis' },
+        { view: 'concepts', icon: 'book-open', label: 'Concept Analysis' },
+        { view: 'activities', icon: 'zap', label: 'Activity Analysis' },
+        { view: 'trends', icon: 'trending-up', label: 'Trends' },
+        { view: 'compare', icon: 'columns', label: 'Compare Groups' },
+    ];
+    // What the URL hash records besides the filters; openChapters null means "the overview's default" (first chapter open).
+    const DEFAULT_VIEW = { tab: 'overview', student: null, openChapters: null };
+    const DEFAULT_SORT = { overview: { key: 'unitNo', dir: 'asc' }, students: { key: 'userName', dir: 'asc' }, concepts: { key: 'difficulty', dir: 'desc' }, activities: { key: 'name', dir: 'asc' } };
+    const SORT_COLUMNS = {
+        overview: [
+            { key: 'unitNo', label: 'Unit No.', value: u => u.unitNo, dir: 'asc' },
+            { key: 'unitName', label: 'Name', value: u => u.unitName, dir: 'asc' },
+            { key: 'avgAccuracy', label: 'Accuracy', value: u => u.avgAccuracy, dir: 'desc' },
+            { key: 'avgTimeSpent', label: 'Time Spent', value: u => parseDurationToSeconds(u.avgTimeSpent), dir: 'desc' },
+            { key: 'noOfLearners', label: 'Learners', value: u => u.noOfLearners, dir: 'desc' },
+        ],
+        students: [
+            { key: 'userName', label: 'Name', value: s => s.userName, dir: 'asc' },
+            { key: 'avgAccuracy', label: 'Accuracy', value: s => s.avgAccuracy, dir: 'desc' },
+            { key: 'avgCompletion', label: 'Completion', value: s => s.avgCompletion, dir: 'desc' },
+            { key: 'totalTimeSpent', label: 'Total Time', value: s => s.totalTimeSeconds, dir: 'desc' },
+        ],
+        concepts: [
+            { key: 'difficulty', label: 'Difficulty', value: c => c.difficulty, dir: 'desc' },
+            { key: 'avgAccuracy', label: 'Accuracy', value: c => c.avgAccuracy, dir: 'desc' },
+            { key: 'avgAttempts', label: 'Attempts', value: c => c.avgAttempts, dir: 'desc' },
+            { key: 'learnerCount', label: 'Learners', value: c => c.learnerCount, dir: 'desc' },
+            { key: 'name', label: 'Name', value: c => c.name, dir: 'asc' },
+        ],
+        activities: [
+            { key: 'name', label: 'Name', value: a => a.name, dir: 'asc' },
+            { key: 'avgAccuracy', label: 'Accuracy', value: a => a.avgAccuracy, dir: 'desc' },
+            { key: 'avgAttempts', label: 'Attempts', value: a => a.avgAttempts, dir: 'desc' },
+        ],
+    };
+
+    // Public API: each mounted container gets its own instance (and its own fullData).
+    const CourseAnalytics = {
+        mount(container, options = {}) {
+            const element = typeof container === 'string' ? document.querySelector(container) : container;
+            if (!element) throw new Error("Analytics Component container not found.");
+            if (mountedInstances.has(element)) mountedInstances.get(element).destroy();
+
+            const instance = {
+                id: `course-analytics-${++instanceCount}`, container: element, body: null, status: null, options, fullData: null, viewData: null, report: null, listeners: [], snapshots: [],
+                trends: { level: 'units', before: null, after: null, snapshots: [] },
+                // groups null compares every group in the export.
+                compare: { groups: null },
+                interventions: { storage: resolveStorage(options.storage), records: new Map(), loaded: false, error: null },
+                handlers: new Map(),
+                // Every load takes the next number; results of a superseded load, or of one that ends after destroy(), are dropped.
+                loadCount: 0, destroyed: false,
+                // Debounces typed filters; destroy() clears it so a pending filter never touches the page afterwards.
+                filterTimer: null,
+                filters: { ...DEFAULT_FILTERS, ...options.filters }, sort: JSON.parse(JSON.stringify(DEFAULT_SORT)),
+                view: { ...DEFAULT_VIEW },
+            };
+            instance.urlPrefix = claimUrlPrefix(instance);
+            element.classList.add('course-analytics');
+            // The status region outlives every re-render of the body, so screen readers hear each loading, success or filter change.
+            render(element, html`<div class="visually-hidden" role="status" aria-live="polite"></div><div class="analytics-body"></div>`);
+            instance.status = element.querySelector('[role="status"]');
+            instance.body = element.querySelector('.analytics-body');
+            attachEventListeners(instance);
+            restoreUrlState(instance);
+            Object.entries(options.on || {}).forEach(([type, listener]) => addHandler(instance, type, listener));
+            loadInstanceData(instance);
+
+            const handle = {
+                container: element,
+                reload: () => loadInstanceData(instance),
+                getData: () => instance.fullData,
+                getReport: () => instance.report,
+                getInterventions: () => Array.from(instance.interventions.records.values()),
+                // Returns a function that removes the listener again.
+                on: (type, listener) => addHandler(instance, type, listener),
+                off: (type, listener) => { if (instance.handlers.has(type)) instance.handlers.get(type).delete(listener); },
+                destroy: () => {
+                    instance.destroyed = true;
+                    clearTimeout(instance.filterTimer);
+                    if (hashOwner === instance) hashOwner = null;
+                    instance.handlers.clear();
+                    instance.listeners.forEach(([target, type, listener, capture]) => target.removeEventListener(type, listener, capture));
+                    element.classList.remove('course-analytics');
+                    element.innerHTML = '';
+                    mountedInstances.delete(element);
+                },
+            };
+            mountedInstances.set(element, handle);
+            return handle;
+        },
+    };
+    window.CourseAnalytics = CourseAnalytics;
+
+    // --- EVENTS ---
+    // Listeners are added with handle.on(type, listener) or options.on: { type: listener }; every event is also dispatched as a
+    // bubbling CustomEvent of the same name on the container, with the same detail, for pages that only use data-analytics-source.
+    //   student:flagged       after each load, once per student the rules flag as struggling
+    //   unit:problematic      after each load, once per problematic unit
+    //   student:selected      when a student's diagnostic report is opened
+    //   intervention:updated  after an intervention change has been saved ({ action, record })
+
+    function addHandler(instance, type, listener) {
+        if (!instance.handlers.has(type)) instance.handlers.set(type, new Set());
+        instance.handlers.get(type).add(listener);
+        return () => instance.handlers.get(type).delete(listener);
+    }
+
+    // A failing listener is reported but never stops the dashboard or the other listeners.
+    function emit(instance, type, detail) {
+        (instance.handlers.get(type) || []).forEach(listener => {
+            try {
+                listener(detail);
+            } catch (error) {
+                console.error(`Analytics Component: a "${type}" listener failed.`, error);
+            }
+        });
+        instance.container.dispatchEvent(new CustomEvent(type, { detail, bubbles: true }));
+    }
+
+    // Flags come from the whole export, not the filtered view, so the LMS hears about every case whatever the teacher is looking at.
+    function emitFlags(instance) {
+        const data = instance.fullData;
+        summarizeStudents(data).filter(student => student.statusId === 'struggling').forEach(student => {
+            const { learningPattern, strugglingConcepts } = buildStudentDiagnostic(data, student.userId);
+            emit(instance, 'student:flagged', { userId: student.userId, userName: student.userName, status: student.status, flag: student.flag, avgAccuracy: student.avgAccuracy, learningPattern, strugglingConcepts });
+        });
+        data.chapters.forEach(chapter => chapter.units.filter(unit => unit.isProblematic).forEach(unit => emit(instance, 'unit:problematic', {
+            unitId: unit.unitId, unitNo: unit.unitNo, unitName: unit.unitName, chapterId: chapter.chapterId, chapterName: chapter.chapterName,
+            avgAccuracy: unit.avgAccuracy, avgTimeSpent: unit.avgTimeSpent, noOfLearners: unit.noOfLearners, flag: unit.flag,
+        })));
+    }
+
+    // Snapshots are earlier (or later) exports of the same course: [{ label, takenAt, source }] in chronological order.
+    // Without a source of its own, the dashboard shows the latest snapshot.
+    function loadInstanceData(instance) {
+        const load = ++instance.loadCount;
+        const isCurrent = () => !instance.destroyed && load === instance.loadCount;
+        showLoadingState(instance);
+        const snapshots = instance.options.snapshots || [];
+        const ownSource = instance.options.source !== undefined || snapshots.length === 0;
+        return Promise.all([loadRules(instance.options.rules), loadInterventions(instance, isCurrent)])
+            .then(([rules]) => Promise.all([ownSource ? buildFromSource(instance, instance.options.source, rules) : null, Promise.all(snapshots.map(snapshot => buildFromSource(instance, snapshot.source, rules)))]))
+            .then(([current, snapshotBuilds]) => {
+                if (!isCurrent()) return;
+                const { hierarchy, report } = current || snapshotBuilds[snapshotBuilds.length - 1];
+                instance.fullData = hierarchy;
+                instance.report = report;
+                if (instance.fullData.message) {
+                    showErrorState(instance, instance.fullData.message, report);
                     return;
                 }
-                initializeAppUI();
-                attachEventListeners();
+                instance.snapshots = snapshots.map((snapshot, index) => ({ label: snapshot.label || `Snapshot ${index + 1}`, takenAt: snapshot.takenAt, hierarchy: snapshotBuilds[index].hierarchy }));
+                instance.trends.before = Math.max(instance.snapshots.length - 2, 0);
+                instance.trends.after = Math.max(instance.snapshots.length - 1, 0);
+                refreshViewData(instance);
+                initializeAppUI(instance);
+                emitFlags(instance);
             })
             .catch(error => {
-                showErrorState(error.message);
+                if (!isCurrent()) return;
+                showErrorState(instance, error.message);
                 console.error("Analytics Component Error:", error);
             });
-    });
+    }
+
+    // --- DATA SOURCES ---
+
+    // A source is either a URL string, { url, params, fetchOptions }, an array of flat rows, or a (possibly async) loader function.
+    function loadFlatData(source) {
+        if (Array.isArray(source)) return Promise.resolve(source);
+        if (typeof source === 'function') return Promise.resolve().then(() => source());
+        const remote = typeof source === 'string' ? { url: source } : (source || {});
+        if (!remote.url) return Promise.reject(new Error("No data source configured."));
+        return fetchSource(remote).then(response => response.json());
+    }
+
+    function fetchSource({ url, params, fetchOptions }) {
+        return fetch(buildSourceUrl(url, params), fetchOptions)
+            .then(response => {
+                if (!response.ok) throw new Error(`HTTP error! Status: ${response.status}`);
+                return response;
+            });
+    }
+
+    // options.groupBy names an extra export column (section, cohort, teacher…) or is a { userId: group } mapping; it enables
+    // the group filter and the Compare Groups view.
+    // Fetching, parsing and building run in a Web Worker where possible. options.worker: false keeps everything on the main thread,
+    // a string points at a relocated worker script. Rows that are already on this thread (arrays, loader functions) are built here,
+    // since cloning them into the worker and the hierarchy back costs about as much as the build. Requests with custom fetchOptions
+    // are made here and only the raw JSON text is handed over for the worker to parse. If the worker can't start, the build runs here.
+    function buildFromSource(instance, source, rules) {
+        const { worker, groupBy } = instance.options;
+        const workerUrl = worker === false || typeof Worker === 'undefined' ? null : typeof worker === 'string' ? new URL(worker, document.baseURI).toString() : WORKER_URL;
+        const buildHere = (flatData) => (flatData ? Promise.resolve(flatData) : loadFlatData(source)).then(rows => buildLearningHierarchy(rows, { rules, groupBy }));
+        const remote = typeof source === 'string' ? { url: source } : source && typeof source === 'object' && !Array.isArray(source) ? source : null;
+        if (!workerUrl || !remote || !remote.url) return buildHere();
+        const message = remote.fetchOptions
+            ? fetchSource(remote).then(response => response.text()).then(text => ({ text }))
+            : Promise.resolve({ url: buildSourceUrl(remote.url, remote.params) });
+        return message.then(payload => runWorker(workerUrl, { ...payload, rules, groupBy }).then(result => result || buildHere(payload.text && JSON.parse(payload.text))));
+    }
+
+    // Resolves with the worker's { hierarchy, report }, or with null when the worker itself could not run.
+    function runWorker(workerUrl, message) {
+        return new Promise((resolve, reject) => {
+            let worker;
+            try {
+                worker = new Worker(workerUrl);
+            } catch (error) {
+                resolve(null);
+                return;
+            }
+            worker.onmessage = (event) => {
+                worker.terminate();
+                if (event.data.error) reject(new Error(event.data.error));
+                else resolve(event.data);
+            };
+            worker.onerror = (event) => {
+                event.preventDefault();
+                worker.terminate();
+                resolve(null);
+            };
+            worker.postMessage(message);
+        });
+    }
+
+    // Unreachable storage doesn't block the dashboard: the intervention panel says so and changes are kept for the session.
+    // Nothing is saved until the stored records have loaded: a record built without them would overwrite the stored one.
+    function loadInterventions(instance, isCurrent = () => !instance.destroyed) {
+        const { interventions } = instance;
+        return Promise.resolve().then(() => interventions.storage.load())
+            .then(records => {
+                if (!isCurrent()) return;
+                interventions.records = new Map((records || []).map(record => [String(record.userId), record]));
+                interventions.loaded = true;
+                interventions.error = null;
+            })
+            .catch(error => {
+                if (!isCurrent()) return;
+                interventions.loaded = false;
+                interventions.error = `Saved interventions could not be loaded: ${error.message} Changes can't be saved until they load.`;
+                console.error("Analytics Component Error:", error);
+            });
+    }
+
+    // Rules are either an object of overrides or the URL of a JSON file holding them.
+    function loadRules(rules) {
+        if (typeof rules !== 'string') return Promise.resolve(rules);
+        return fetch(new URL(rules, document.baseURI).toString())
+            .then(response => {
+                if (!response.ok) throw new Error(`Could not load rules (HTTP ${response.status}).`);
+                return response.json();
+            });
+    }
+
+    const buildSourceUrl = (url, params) => {
+        const target = new URL(url, document.baseURI);
+        Object.entries(params || {}).forEach(([key, value]) => {
+            if (value === undefined || value === null || value === '') return;
+            target.searchParams.set(key, value instanceof Date ? value.toISOString().slice(0, 10) : value);
+        });
+        return target.toString();
+    };
 
     // --- UI CONSTRUCTION & RENDERING ---
     
-    function showLoadingState() { componentContainer.innerHTML = `<div class="analytics-loading">Loading Analytics...</div>`; }
-    function showErrorState(message) { componentContainer.innerHTML = `<div class="analytics-loading" style="color:var(--danger-color)">Error: ${message}</div>`; }
-
-    function initializeAppUI() {
-        componentContainer.innerHTML = `
-            <div class="analytics-tabs">
-                <button class="tab-link active" data-view="overview"><i data-feather="trello"></i>Course Overview</button>
-                <button class="tab-link" data-view="students"><i data-feather="users"></i>Student Analysis</button>
-                <button class="tab-link" data-view="concepts"><i data-feather="book-open"></i>Concept Analysis</button>
-                <button class="tab-link" data-view="activities"><i data-feather="zap"></i>Activity Analysis</button>
+    const announce = (instance, message) => { instance.status.textContent = message; };
+
+    function showLoadingState(instance) {
+        instance.body.setAttribute('aria-busy', 'true');
+        render(instance.body, html`<div class="analytics-loading">Loading Analytics...</div>`);
+        announce(instance, 'Loading analytics…');
+    }
+
+    // role="alert" is announced on insertion, so the status region is cleared rather than repeating the message.
+    // When validation rejected every row, the data-quality report explains why, already expanded.
+    function showErrorState(instance, message, report) {
+        instance.body.removeAttribute('aria-busy');
+        render(instance.body, html`${renderDataQualityNotice(report, true)}<div class="analytics-loading" role="alert" style="color:var(--danger-color)">Error: ${message}</div>`);
+        announce(instance, '');
+    }
+
+    const hasTrends = (instance) => instance.fullData.hasTimeline || instance.snapshots.length >= 2;
+    const hasGroups = (instance) => (instance.fullData.groups || []).length >= 2;
+
+    // Tabs follow the ARIA tablist pattern: only the selected tab is in the tab order, the arrow keys move between them.
+    function initializeAppUI(instance) {
+        const tabs = TABS.filter(tab => (tab.view !== 'trends' || hasTrends(instance)) && (tab.view !== 'compare' || hasGroups(instance)));
+        const tabId = (view) => `${instance.id}-tab-${view}`, paneId = (view) => `${instance.id}-pane-${view}`;
+        instance.body.removeAttribute('aria-busy');
+        render(instance.body, html`
+            ${renderDataQualityNotice(instance.report)}
+            ${renderFilterBar(instance.fullData, instance.filters)}
+            <div class="analytics-tabs" role="tablist" aria-label="Analytics views">
+                ${tabs.map((tab, index) => html`<button type="button" class="tab-link ${index === 0 ? 'active' : ''}" role="tab" id="${tabId(tab.view)}" aria-controls="${paneId(tab.view)}" aria-selected="${index === 0 ? 'true' : 'false'}" tabindex="${index === 0 ? 0 : -1}" data-view="${tab.view}"><i data-feather="${tab.icon}"></i>${tab.label}</button>`)}
             </div>
-            <div class="view-pane active" id="overview-view"></div>
-            <div class="view-pane" id="students-view"></div>
-            <div class="view-pane" id="concepts-view"></div>
-            <div class="view-pane" id="activities-view"></div>
-        `;
-        renderAllViews();
+            ${tabs.map((tab, index) => html`<div class="view-pane ${index === 0 ? 'active' : ''}" role="tabpanel" id="${paneId(tab.view)}" aria-labelledby="${tabId(tab.view)}" tabindex="0" data-pane="${tab.view}"></div>`)}
+            <div class="chart-tooltip" role="tooltip" hidden></div>
+        `);
+        renderAllViews(instance);
+        switchTabs(instance, instance.view.tab);
         feather.replace();
+        announceResults(instance, 'Analytics loaded');
+    }
+
+    function announceResults(instance, prefix) {
+        const { viewData } = instance;
+        announce(instance, viewData.message ? `${prefix}. ${viewData.message}` : `${prefix}: ${summarizeStudents(viewData).length} students across ${viewData.chapters.reduce((n, ch) => n + ch.units.length, 0)} units.`);
+    }
+
+    // Partial LMS exports are surfaced instead of silently producing a plausible-looking dashboard.
+    function renderDataQualityNotice(report, open) {
+        if (!report || report.isValid) return '';
+        const summary = [
+            report.rejectedRows.length && `${report.rejectedRows.length} of ${report.totalRows} rows were rejected`,
+            report.missingIds.length && `${report.missingIds.length} missing IDs`,
+            report.nonNumericValues.length && `${report.nonNumericValues.length} non-numeric values`,
+            report.invalidTimestamps.length && `${report.invalidTimestamps.length} invalid timestamps`,
+            report.nameConflicts.length && `${report.nameConflicts.length} conflicting names`,
+        ].filter(Boolean).join(', ');
+        const details = [
+            ...report.rejectedRows.slice(0, 10).map(r => html`<li>Row ${r.row + 1}: ${r.reasons.join('; ')}</li>`),
+            ...report.nameConflicts.slice(0, 10).map(c => html`<li>${c.field} ${c.id} has several names: ${c.names.join(' / ')}</li>`),
+        ];
+        return html`
+            <details class="data-quality-notice" ${open ? 'open' : ''}>
+                <summary><i data-feather="alert-octagon"></i> Data quality: ${summary}. Figures below exclude rejected rows.</summary>
+                <ul>${details}</ul>
+            </details>`;
+    }
+
+    function renderFilterBar(data, filters) {
+        const activityTypes = new Set(), categories = new Set();
+        data.chapters.forEach(ch => ch.units.forEach(unit => unit.users.forEach(user => user.activities.forEach(act => {
+            activityTypes.add(act.activityName);
+            act.performanceByCategory.forEach(cat => categories.add(cat.category));
+        }))));
+        const groups = data.groups || [];
+        const scope = filters.unitId ? `unit:${filters.unitId}` : filters.chapterId ? `chapter:${filters.chapterId}` : '';
+        const option = (value, label, selected) => html`<option value="${value}" ${selected ? 'selected' : ''}>${label}</option>`;
+        const rangeInputs = (name, min, max) => html`
+            <input type="number" class="filter-control" data-filter="${name}Min" min="0" max="100" placeholder="0" value="${min}">
+            <span>–</span>
+            <input type="number" class="filter-control" data-filter="${name}Max" min="0" max="100" placeholder="100" value="${max}">`;
+        return html`
+            <div class="analytics-filter-bar">
+                <label class="filter-field"><span>Scope</span>
+                    <select class="filter-control" data-filter="scope">
+                        ${option('', 'Whole course', !scope)}
+                        ${data.chapters.map(ch => [option(`chapter:${ch.chapterId}`, `Chapter ${ch.chapterNo}: ${ch.chapterName}`, scope === `chapter:${ch.chapterId}`),
+                            ch.units.map(u => option(`unit:${u.unitId}`, html`&nbsp;&nbsp;Unit ${u.unitNo}: ${u.unitName}`, scope === `unit:${u.unitId}`))])}
+                    </select>
+                </label>
+                <label class="filter-field"><span>Activity Type</span>
+                    <select class="filter-control" data-filter="activityType">${option('', 'All types', !filters.activityType)}${Array.from(activityTypes).sort().map(t => option(t, t, t === filters.activityType))}</select>
+                </label>
+                <label class="filter-field"><span>Concept Category</span>
+                    <select class="filter-control" data-filter="conceptCategory">${option('', 'All categories', !filters.conceptCategory)}${Array.from(categories).sort().map(c => option(c, c, c === filters.conceptCategory))}</select>
+                </label>
+                ${groups.length >= 2 ? html`<label class="filter-field"><span>Group</span>
+                    <select class="filter-control" data-filter="group">${option('', 'All groups', !filters.group)}${groups.map(g => option(g.name, `${g.name} (${g.learners})`, g.name === filters.group))}</select>
+                </label>` : ''}
+                <label class="filter-field"><span>Student</span>
+                    <input type="search" class="filter-control" data-filter="studentSearch" placeholder="Search by name" value="${filters.studentSearch}">
+                </label>
+                <div class="filter-field"><span>Accuracy %</span><div class="filter-range">${rangeInputs('accuracy', filters.accuracyMin, filters.accuracyMax)}</div></div>
+                <div class="filter-field"><span>Completion %</span><div class="filter-range">${rangeInputs('completion', filters.completionMin, filters.completionMax)}</div></div>
+                <button class="filter-reset"><i data-feather="rotate-ccw"></i>Reset</button>
+            </div>`;
+    }
+
+    const renderViewToolbar = (viewName, sort) => html`
+        <div class="view-toolbar">
+            <div class="sort-bar">
+                <span class="sort-label">Sort by:</span>
+                ${SORT_COLUMNS[viewName].map(column => html`<button class="sort-button ${column.key === sort.key ? 'active' : ''}" data-sort-view="${viewName}" data-sort-key="${column.key}">${column.label}${column.key === sort.key ? (sort.dir === 'asc' ? ' ▲' : ' ▼') : ''}</button>`)}
+            </div>
+            <div class="export-bar">
+                <button class="export-button" data-export-view="${viewName}" data-export-format="csv"><i data-feather="download"></i>CSV</button>
+                <button class="export-button" data-export-view="${viewName}" data-export-format="xlsx"><i data-feather="download"></i>XLSX</button>
+            </div>
+        </div>`;
+
+    const VIEW_RENDERERS = { overview: renderCourseOverview, students: renderStudentAnalysis, concepts: renderConceptAnalysis, activities: renderActivityAnalysis, trends: renderTrends, compare: renderGroupComparison };
+
+    const getPane = (instance, viewName) => instance.container.querySelector(`.view-pane[data-pane="${viewName}"]`);
+
+    function renderView(instance, viewName) {
+        const pane = getPane(instance, viewName);
+        if (instance.viewData.message) {
+            render(pane, html`<div class="analytics-loading">${instance.viewData.message}</div>`);
+            return;
+        }
+        const state = { trends: instance.trends, compare: instance.compare }[viewName] || instance.sort[viewName];
+        VIEW_RENDERERS[viewName](instance.viewData, pane, state);
+        // Re-rendering (sorting, filtering, going back) keeps the opened chapters and the selected student's report.
+        if (viewName === 'overview') syncOpenChapters(instance);
+        if (viewName === 'students' && instance.view.student) syncSelectedStudent(instance);
     }
 
-    function renderAllViews() {
-        renderCourseOverview(fullData, document.getElementById('overview-view'));
-        renderStudentAnalysis(fullData, document.getElementById('students-view'));
-        renderConceptAnalysis(fullData, document.getElementById('concepts-view'));
-        renderActivityAnalysis(fullData, document.getElementById('activities-view'));
+    // Optional views (Trends, Compare Groups) only have a pane when the data supports them.
+    function renderAllViews(instance) {
+        Object.keys(VIEW_RENDERERS).filter(viewName => getPane(instance, viewName)).forEach(viewName => renderView(instance, viewName));
     }
 
     // --- EVENT LISTENERS ---
 
-    function attachEventListeners() {
-        componentContainer.addEventListener('click', (event) => {
+    function attachEventListeners(instance) {
+        const { container } = instance;
+        const onClick = (event) => {
             const tab = event.target.closest('.tab-link');
             if (tab) {
-                switchTabs(tab.getAttribute('data-view'));
+                switchTabs(instance, tab.getAttribute('data-view'));
+                writeUrlState(instance, 'push');
             }
             const card = event.target.closest('.student-card');
             if (card) {
-                const userId = card.getAttribute('data-userid');
-                document.querySelectorAll('.student-card').forEach(c => c.classList.remove('active'));
-                card.classList.add('active');
-                renderStudentDiagnosticPanel(userId, document.getElementById('student-diagnostic-panel'));
+                selectStudent(instance, card.getAttribute('data-userid'));
+                writeUrlState(instance, 'push');
+            }
+            const chartMark = event.target.closest('[data-nav-type]');
+            if (chartMark) {
+                navigateTo(instance, chartMark.getAttribute('data-nav-type'), chartMark.getAttribute('data-nav-id'));
+                writeUrlState(instance, 'push');
+            }
+            const sortButton = event.target.closest('.sort-button[data-sort-view]');
+            if (sortButton) {
+                const viewName = sortButton.getAttribute('data-sort-view');
+                const key = sortButton.getAttribute('data-sort-key');
+                const current = instance.sort[viewName];
+                const column = SORT_COLUMNS[viewName].find(c => c.key === key);
+                instance.sort[viewName] = { key, dir: current.key === key ? (current.dir === 'asc' ? 'desc' : 'asc') : column.dir };
+                renderView(instance, viewName);
+                feather.replace();
+            }
+            const exportButton = event.target.closest('.export-button');
+            if (exportButton) {
+                exportView(instance, exportButton.getAttribute('data-export-view'), exportButton.getAttribute('data-export-format'));
+            }
+            const reportButton = event.target.closest('.report-button');
+            if (reportButton) {
+                exportStudentReport(instance, reportButton.getAttribute('data-userid'), reportButton.getAttribute('data-report-action'));
+            }
+            const interventionButton = event.target.closest('.intervention-button[data-intervention-action]');
+            if (interventionButton) {
+                const action = interventionButton.getAttribute('data-intervention-action');
+                updateIntervention(instance, interventionButton.closest('.intervention-panel').getAttribute('data-userid'), action, action === 'resolve' ? resolveIntervention : reopenIntervention);
+            }
+            const levelButton = event.target.closest('.trend-level-button');
+            if (levelButton) {
+                instance.trends.level = levelButton.getAttribute('data-trend-level');
+                renderView(instance, 'trends');
+            }
+            if (event.target.closest('.filter-reset')) {
+                instance.filters = mountFilters(instance);
+                replace(container.querySelector('.analytics-filter-bar'), renderFilterBar(instance.fullData, instance.filters));
+                applyFilters(instance, 'push');
             }
+        };
+        // Selects apply on change; text and number inputs apply on input, debounced so typing a name doesn't re-aggregate per keystroke
+        // (and updates the current history entry rather than adding one per pause in typing).
+        const onFilterInput = (event) => {
+            const control = event.target.closest('.filter-control');
+            if (!control || (event.type === 'input') === (control.tagName === 'SELECT')) return;
+            const name = control.getAttribute('data-filter');
+            if (name === 'scope') {
+                const [level, id] = control.value.split(':');
+                instance.filters.chapterId = level === 'chapter' ? id : '';
+                instance.filters.unitId = level === 'unit' ? id : '';
+            } else {
+                instance.filters[name] = control.value;
+            }
+            clearTimeout(instance.filterTimer);
+            if (control.tagName === 'SELECT') applyFilters(instance, 'push');
+            else instance.filterTimer = setTimeout(() => applyFilters(instance, 'replace'), 250);
+        };
+        const onCompareChange = (event) => {
+            const select = event.target.closest('.trend-compare');
+            if (!select) return;
+            instance.trends[select.getAttribute('data-compare')] = Number(select.value);
+            renderView(instance, 'trends');
+            feather.replace();
+        };
+        // Ticking a group in the Compare Groups view; the choice survives filtering and stays in effect until changed.
+        const onGroupPick = (event) => {
+            if (!event.target.closest('.compare-group')) return;
+            instance.compare.groups = Array.from(container.querySelectorAll('.compare-group:checked')).map(box => box.value);
+            renderView(instance, 'compare');
+            feather.replace();
+            const picked = Array.from(container.querySelectorAll('.compare-group')).find(box => box.value === event.target.value);
+            if (picked) picked.focus();
+        };
+        const onInterventionSubmit = (event) => {
+            const form = event.target.closest('.intervention-form');
+            if (!form) return;
+            event.preventDefault();
+            const userId = form.closest('.intervention-panel').getAttribute('data-userid');
+            if (form.getAttribute('data-intervention-action') === 'note') {
+                const text = form.elements.text.value.trim();
+                if (text) updateIntervention(instance, userId, 'note', record => addNote(record, text));
+                return;
+            }
+            // An empty concept choice assigns the activity for every concept the student is struggling with.
+            const context = interventionContext(instance, userId);
+            if (!context) return;
+            const conceptId = form.elements.concept.value;
+            const concepts = context.report.strugglingConcepts.filter(concept => !conceptId || concept.elementId === conceptId);
+            if (concepts.length === 0) return;
+            updateIntervention(instance, userId, 'remediation', record => assignRemediation(record, { concepts, activity: form.elements.activity.value }));
+        };
+        // One tooltip per instance follows the pointer over any chart mark.
+        const onPointerMove = (event) => {
+            const tooltip = container.querySelector('.chart-tooltip');
+            const mark = event.target.closest && event.target.closest('[data-tooltip]');
+            if (!tooltip) return;
+            if (!mark || event.type === 'mouseleave') {
+                tooltip.hidden = true;
+                return;
+            }
+            const bounds = container.getBoundingClientRect();
+            tooltip.textContent = mark.getAttribute('data-tooltip');
+            tooltip.style.left = `${event.clientX - bounds.left + 12}px`;
+            tooltip.style.top = `${event.clientY - bounds.top + 12}px`;
+            tooltip.hidden = false;
+        };
+        // Arrow keys, Home and End move between tabs; Enter and Space open a student card the way a click does.
+        const onKeyDown = (event) => {
+            const tab = event.target.closest('[role="tab"]');
+            if (tab) {
+                const tabs = Array.from(container.querySelectorAll('[role="tab"]'));
+                const index = tabs.indexOf(tab);
+                const next = { ArrowRight: index + 1, ArrowLeft: index - 1, Home: 0, End: tabs.length - 1 }[event.key];
+                if (next === undefined) return;
+                event.preventDefault();
+                const target = tabs[(next + tabs.length) % tabs.length];
+                switchTabs(instance, target.getAttribute('data-view'));
+                writeUrlState(instance, 'push');
+                target.focus();
+                return;
+            }
+            const card = event.target.closest('.student-card');
+            if (card && (event.key === 'Enter' || event.key === ' ')) {
+                event.preventDefault();
+                selectStudent(instance, card.getAttribute('data-userid'));
+                writeUrlState(instance, 'push');
+            }
+        };
+        // Opening or closing an overview chapter is remembered in the current history entry; toggle doesn't bubble, hence capture.
+        // Chapters hidden by the filters keep their remembered state.
+        const onToggle = (event) => {
+            if (!event.target.matches('details[data-chapter-id]')) return;
+            const chapters = Array.from(getPane(instance, 'overview').querySelectorAll('details[data-chapter-id]'));
+            const shown = chapters.map(details => details.getAttribute('data-chapter-id'));
+            const open = openChapters(instance).filter(id => !shown.includes(id)).concat(chapters.filter(details => details.open).map(details => details.getAttribute('data-chapter-id')));
+            if (sameIds(open, openChapters(instance))) return;
+            instance.view.openChapters = open;
+            writeUrlState(instance, 'replace');
+        };
+        // Back, forward and edited or pasted links all end up here.
+        const onHistory = () => restoreUrlState(instance);
+        instance.listeners = [
+            [container, 'click', onClick], [container, 'keydown', onKeyDown], [container, 'input', onFilterInput], [container, 'change', onFilterInput], [container, 'change', onCompareChange], [container, 'change', onGroupPick], [container, 'submit', onInterventionSubmit],
+            [container, 'mousemove', onPointerMove], [container, 'mouseleave', onPointerMove], [container, 'toggle', onToggle, true],
+        ];
+        if (instance.options.urlState !== false) instance.listeners.push([window, 'popstate', onHistory], [window, 'hashchange', onHistory]);
+        instance.listeners.forEach(([target, type, listener, capture]) => target.addEventListener(type, listener, capture));
+    }
+
+    // Snapshots are narrowed by the same filters so trend lines and comparisons match the other views.
+    function refreshViewData(instance) {
+        instance.viewData = filterHierarchy(instance.fullData, instance.filters);
+        instance.trends.snapshots = instance.snapshots.map(snapshot => ({ ...snapshot, hierarchy: filterHierarchy(snapshot.hierarchy, instance.filters) }));
+    }
+
+    function applyFilters(instance, historyMode) {
+        if (instance.destroyed) return;
+        refreshViewData(instance);
+        renderAllViews(instance);
+        feather.replace();
+        announceResults(instance, 'Filters applied');
+        writeUrlState(instance, historyMode);
+    }
+
+    // A tab that isn't there (Trends without timestamps or snapshots, Compare Groups without groups, an outdated link) falls back to the overview.
+    function switchTabs(instance, requestedView) {
+        const links = instance.container.querySelectorAll('.tab-link');
+        const viewName = Array.from(links).some(link => link.getAttribute('data-view') === requestedView) ? requestedView : DEFAULT_VIEW.tab;
+        instance.view.tab = viewName;
+        links.forEach(link => {
+            const selected = link.getAttribute('data-view') === viewName;
+            link.classList.toggle('active', selected);
+            link.setAttribute('aria-selected', String(selected));
+            link.tabIndex = selected ? 0 : -1;
         });
+        instance.container.querySelectorAll('.view-pane').forEach(pane => pane.classList.toggle('active', pane.getAttribute('data-pane') === viewName));
     }
 
-    function switchTabs(viewName) {
-        componentContainer.querySelectorAll('.tab-link').forEach(link => link.classList.toggle('active', link.getAttribute('data-view') === viewName));
-        componentContainer.querySelectorAll('.view-pane').forEach(pane => pane.classList.toggle('active', pane.id === `${viewName}-view`));
+    function selectStudent(instance, userId) {
+        instance.view.student = userId;
+        const name = syncSelectedStudent(instance);
+        if (!name) return;
+        announce(instance, `Diagnostic report for ${name} shown.`);
+        emit(instance, 'student:selected', { userId, userName: name, report: buildStudentDiagnostic(instance.viewData, userId), intervention: instance.interventions.records.get(userId) || null });
+    }
+
+    // Marks the selected card and renders its report; returns the student's name, or '' when the filters hide them.
+    function syncSelectedStudent(instance) {
+        const { student } = instance.view;
+        let name = '';
+        instance.container.querySelectorAll('.student-card').forEach(card => {
+            const selected = card.getAttribute('data-userid') === student;
+            card.classList.toggle('active', selected);
+            card.setAttribute('aria-pressed', String(selected));
+            if (selected) name = card.querySelector('.name').textContent;
+        });
+        const panel = instance.container.querySelector('.diagnostic-panel');
+        if (panel) renderStudentDiagnosticPanel(instance.viewData, student, panel);
+        const slot = panel && panel.querySelector('.intervention-panel');
+        if (slot) renderInterventionPanel(instance, slot);
+        return name;
+    }
+
+    const openChapters = (instance) => instance.view.openChapters || (instance.viewData.chapters || []).slice(0, 1).map(ch => ch.chapterId);
+    const sameIds = (a, b) => a.length === b.length && a.every(id => b.includes(id));
+
+    function syncOpenChapters(instance) {
+        const open = openChapters(instance);
+        const pane = getPane(instance, 'overview');
+        if (pane) pane.querySelectorAll('details[data-chapter-id]').forEach(details => { details.open = open.includes(details.getAttribute('data-chapter-id')); });
+    }
+
+    // --- URL STATE ---
+    // The hash carries the tab, selected student, opened overview chapters and active filters, so a link reopens the same view:
+    //   #view=students&student=42&open=101&open=103&chapterId=101&studentSearch=jane
+    // Other hash parameters are left alone. options.urlState: false opts out; a string prefixes the keys ("a.view").
+    // By default the first instance on the page keeps the bare keys and every other one prefixes them with its container's id
+    // (or its instance id, "course-analytics-2.view", when the container has none), so dashboards sharing a page never follow
+    // each other's links. The bare keys pass to the next instance mounted after the owner is destroyed.
+
+    // Filters given at mount time are the page's defaults: a link or an empty hash starts from them, not from no filters at all.
+    const mountFilters = (instance) => ({ ...DEFAULT_FILTERS, ...instance.options.filters });
+    function claimUrlPrefix(instance) {
+        const { urlState } = instance.options;
+        if (typeof urlState === 'string') return urlState;
+        if (urlState === false) return null;
+        if (hashOwner && !hashOwner.destroyed) return instance.container.id || instance.id;
+        hashOwner = instance;
+        return '';
+    }
+
+    const stateKey = (instance, name) => instance.urlPrefix ? `${instance.urlPrefix}.${name}` : name;
+
+    function readUrlState(instance) {
+        if (instance.options.urlState === false) return null;
+        const params = new URLSearchParams(window.location.hash.slice(1));
+        const get = (name) => params.get(stateKey(instance, name));
+        if (!['view', 'student', 'open', ...Object.keys(DEFAULT_FILTERS)].some(name => params.has(stateKey(instance, name)))) return null;
+        const filters = mountFilters(instance);
+        Object.keys(DEFAULT_FILTERS).forEach(name => { if (get(name) !== null) filters[name] = get(name); });
+        const open = params.has(stateKey(instance, 'open')) ? params.getAll(stateKey(instance, 'open')).filter(Boolean) : null;
+        return { view: { tab: get('view') || DEFAULT_VIEW.tab, student: get('student') || null, openChapters: open }, filters };
+    }
+
+    // 'push' adds a history entry (tab, student, scope changes), 'replace' updates the current one (typing, opening chapters).
+    function writeUrlState(instance, historyMode) {
+        if (instance.options.urlState === false) return;
+        const current = new URLSearchParams(window.location.hash.slice(1));
+        const params = new URLSearchParams(current);
+        const { view, filters } = instance;
+        const set = (name, value) => (value ? params.set(stateKey(instance, name), value) : params.delete(stateKey(instance, name)));
+        set('view', view.tab !== DEFAULT_VIEW.tab && view.tab);
+        set('student', view.student);
+        params.delete(stateKey(instance, 'open'));
+        if (view.openChapters) (view.openChapters.length > 0 ? view.openChapters : ['']).forEach(id => params.append(stateKey(instance, 'open'), id));
+        Object.keys(DEFAULT_FILTERS).forEach(name => set(name, filters[name]));
+        if (params.toString() === current.toString()) return;
+        const hash = params.toString();
+        window.history[historyMode === 'push' ? 'pushState' : 'replaceState'](window.history.state, '', `${window.location.pathname}${window.location.search}${hash ? `#${hash}` : ''}`);
+    }
+
+    // Without state in the hash the dashboard returns to its mount-time defaults. Before the data has loaded only the state is
+    // set; initializeAppUI renders it.
+    function restoreUrlState(instance) {
+        const state = readUrlState(instance) || { view: { ...DEFAULT_VIEW }, filters: mountFilters(instance) };
+        const filtersChanged = Object.keys(DEFAULT_FILTERS).some(name => String(state.filters[name] ?? '') !== String(instance.filters[name] ?? ''));
+        const studentChanged = state.view.student !== instance.view.student;
+        instance.filters = state.filters;
+        instance.view = state.view;
+        if (!instance.viewData) return;
+        if (filtersChanged) {
+            replace(instance.container.querySelector('.analytics-filter-bar'), renderFilterBar(instance.fullData, instance.filters));
+            refreshViewData(instance);
+            renderAllViews(instance);
+            feather.replace();
+            announceResults(instance, 'Filters applied');
+        } else {
+            if (studentChanged) syncSelectedStudent(instance);
+            syncOpenChapters(instance);
+        }
+        switchTabs(instance, instance.view.tab);
+    }
+
+    // Chart marks point at a unit, concept, activity type or student; open the view that shows it and bring it into sight.
+    const NAV_VIEWS = { unit: 'overview', concept: 'concepts', activity: 'activities', student: 'students' };
+
+    function navigateTo(instance, type, id) {
+        if (!NAV_VIEWS[type]) return;
+        switchTabs(instance, NAV_VIEWS[type]);
+        if (type === 'student') selectStudent(instance, id);
+        const target = type === 'student'
+            ? instance.container.querySelector('.diagnostic-panel')
+            : Array.from(instance.container.querySelectorAll('[data-anchor]')).find(el => el.getAttribute('data-anchor') === `${type}:${id}`);
+        if (!target) return;
+        const details = target.closest('details');
+        if (details) details.open = true;
+        target.scrollIntoView({ behavior: 'smooth', block: 'center' });
+        target.classList.add('chart-target');
+        setTimeout(() => target.classList.remove('chart-target'), 1500);
     }
 
     // --- VIEW-SPECIFIC RENDERERS ---
 
-    function renderCourseOverview(data, container) {
-        let content = '';
-        data.chapters.forEach(chapter => {
-            content += `
-            <details class="toc-item" ${chapter.chapterNo === 1 ? 'open' : ''}>
+    // The export only has unit-level completion and time, so an activity type or concept category filter can't narrow them.
+    const renderNarrowedNote = (data) => data.activitiesNarrowed
+        ? html`<p class="description narrowed-note"><i data-feather="info"></i> Accuracy is recalculated from the selected activity type and concept category. Completion and time are unit-wide figures that include every activity.</p>`
+        : '';
+
+    function renderCourseOverview(data, container, sort) {
+        const content = data.chapters.map((chapter, index) => html`
+            <details class="toc-item" data-chapter-id="${chapter.chapterId}" ${index === 0 ? 'open' : ''}>
                 <summary>
                     <div class="toc-title">Chapter ${chapter.chapterNo}: ${chapter.chapterName}</div>
                     <div class="toc-stats">
@@ -99,253 +771,669 @@
                 </summary>
                 <div class="toc-content">
                     <div class="card-list">
-                        ${chapter.units.map(unit => {
+                        ${sortItems(chapter.units, 'overview', sort).map(unit => {
                             const isProblematic = unit.isProblematic;
-                            return `
-                            <div class="insight-card ${isProblematic ? 'warning' : 'success'}">
+                            return html`
+                            <div class="insight-card ${isProblematic ? 'warning' : 'success'}" data-anchor="unit:${unit.unitId}">
                                 <i data-feather="${isProblematic ? 'alert-triangle' : 'check-circle'}"></i>
                                 <div>
                                     <p><strong>Unit ${unit.unitNo}: ${unit.unitName}</strong></p>
                                     <p>Avg Accuracy: ${unit.avgAccuracy}%, Avg Time: ${unit.avgTimeSpent}, Learners: ${unit.noOfLearners}</p>
-                                    ${isProblematic ? '<p style="font-size: 0.9em; margin-top: 0.5em;"><strong>Insight:</strong> This unit shows signs of difficulty for the cohort (low accuracy and high time spent).</p>' : ''}
+                                    ${isProblematic ? html`<p class="rule-reason"><strong>${unit.flag.label} rule:</strong> ${unit.flag.reason}</p>` : ''}
                                 </div>
                             </div>
                             `
-                        }).join('')}
+                        })}
                     </div>
                 </div>
             </details>
-            `;
-        });
-        container.innerHTML = `<div class="section"><h3>Course Table of Contents</h3><p class="description">Get a high-level overview of class performance chapter by chapter and unit by unit.</p>${content}</div>`;
+            `);
+        render(container, html`<div class="section"><h3>Course Table of Contents</h3><p class="description">Get a high-level overview of class performance chapter by chapter and unit by unit.</p>${renderNarrowedNote(data)}${renderUnitScatter(data)}${renderViewToolbar('overview', sort)}${content}</div>`);
         feather.replace();
     }
 
-    function renderStudentAnalysis(data, container) {
-        let strugglingHTML = '', onTrackHTML = '', excellingHTML = '';
-        const allStudents = new Map();
+    function renderStudentAnalysis(data, container, sort) {
+        const cards = { struggling: [], onTrack: [], excelling: [] };
+        const { rules } = data;
 
-        data.chapters.forEach(ch => ch.units.forEach(unit => unit.users.forEach(user => {
-            if (!allStudents.has(user.userId)) allStudents.set(user.userId, { userName: user.userName, accuracies: [], times: [], isStruggling: false });
-            const student = allStudents.get(user.userId);
-            if (user.accuracy > 0) student.accuracies.push(user.accuracy);
-            student.times.push(parseDurationToSeconds(user.totalTimeSpent));
-            if (user.isStruggling) student.isStruggling = true;
-        })));
-        
-        allStudents.forEach((student, userId) => {
-            const avgAccuracy = calculateAverage(student.accuracies);
-            const totalTime = student.times.reduce((a, b) => a + b, 0);
-            const status = student.isStruggling ? "Struggling" : (avgAccuracy > 90 ? "Excelling" : "On-Track");
-            const cardHTML = `<div class="student-card" data-userid="${userId}">...</div>`; // simplified
-            if (status === 'Struggling') strugglingHTML += cardHTML;
-            else if (status === 'Excelling') excellingHTML += cardHTML;
-            else onTrackHTML += cardHTML;
+        getViewItems('students', data, sort).forEach(student => {
+            const card = html`
+                <div class="student-card" role="button" tabindex="0" aria-pressed="false" data-userid="${student.userId}">
+                    <div class="student-card-header">
+                        <div class="name">${student.userName}</div>
+                        <span class="status-tag ${statusClass(student.statusId)}">${student.status}</span>
+                    </div>
+                    <div class="student-card-body">
+                        <div class="stat"><div class="stat-value">${truncateToDecimals(student.avgAccuracy, 1)}%</div><div class="stat-label">Avg. Accuracy</div></div>
+                        <div class="stat"><div class="stat-value">${student.totalTimeSpent}</div><div class="stat-label">Total Time</div></div>
+                    </div>
+                    ${student.flag ? html`<p class="rule-reason">${student.flag.reason}</p>` : ''}
+                </div>`;
+            (cards[student.statusId] || cards.onTrack).push(card);
         });
+        const cardList = (list) => list.length > 0 ? list : html`<p>None</p>`;
 
-        container.innerHTML = `
+        render(container, html`
             <div class="student-analysis-container">
                 <div class="student-cohort-list">
+                    ${renderNarrowedNote(data)}
+                    ${renderViewToolbar('students', sort)}
                     <div class="section">
-                        <h3><i data-feather="alert-triangle" style="color:var(--warning-color)"></i> Struggling</h3>
-                        <div class="card-list">${strugglingHTML || "<p>None</p>"}</div>
+                        <h3><i data-feather="alert-triangle" style="color:var(--warning-color)"></i> ${rules.struggling.label}</h3>
+                        <div class="card-list">${cardList(cards.struggling)}</div>
                     </div>
                      <div class="section">
-                        <h3><i data-feather="star" style="color:var(--success-color)"></i> Excelling</h3>
-                        <div class="card-list">${excellingHTML || "<p>None</p>"}</div>
+                        <h3><i data-feather="star" style="color:var(--success-color)"></i> ${rules.excelling.label}</h3>
+                        <div class="card-list">${cardList(cards.excelling)}</div>
                     </div>
                     <div class="section">
-                        <h3><i data-feather="users" style="color:var(--primary-color)"></i> On-Track</h3>
-                        <div class="card-list">${onTrackHTML || "<p>None</p>"}</div>
+                        <h3><i data-feather="users" style="color:var(--primary-color)"></i> ${rules.onTrack.label}</h3>
+                        <div class="card-list">${cardList(cards.onTrack)}</div>
                     </div>
                 </div>
-                <div id="student-diagnostic-panel" class="diagnostic-panel">
+                <div class="diagnostic-panel" role="region" aria-label="Student diagnostic report">
                     <!-- Diagnostic content will be rendered here -->
                 </div>
-            </div>`;
+            </div>`);
         
-        renderStudentDiagnosticPanel(null, container.querySelector('#student-diagnostic-panel'));
+        renderStudentDiagnosticPanel(data, null, container.querySelector('.diagnostic-panel'));
         feather.replace();
     }
     
-    function renderStudentDiagnosticPanel(userId, container) {
-        if (!userId) {
-            container.innerHTML = `
+    function renderStudentDiagnosticPanel(data, userId, container) {
+        const report = userId ? buildStudentDiagnostic(data, userId) : null;
+        if (!report) {
+            render(container, html`
                 <div class="empty-diagnostic">
                     <i data-feather="user-check"></i>
                     <h3>Select a student to view their diagnostic report.</h3>
                     <p>Click on any student card to the left to see a detailed analysis of their performance and learning patterns.</p>
-                </div>`;
+                </div>`);
             feather.replace();
             return;
         }
 
-        let studentPerformances = [], totalAttempts = 0, activityCount = 0;
-        let strugglingConcepts = new Map();
-        
-        fullData.chapters.forEach(ch => ch.units.forEach(unit => {
-            const user = unit.users.find(u => u.userId === userId);
-            if (user) {
-                user.activities.forEach(act => {
-                    totalAttempts += act.totalAttempts;
-                    activityCount++;
-                    act.performanceByCategory.forEach(cat => cat.components.forEach(comp => comp.elements.forEach(el => {
-                        if (el.accuracy < 60) strugglingConcepts.set(el.elementName, el.accuracy);
-                    })));
-                });
-            }
-        }));
+        const { learningPattern, strugglingConcepts } = report;
         
-        const avgAccuracy = calculateAverage(fullData.chapters.flatMap(c=>c.units.flatMap(u=>u.users.filter(usr=>usr.userId === userId).map(usr=>usr.accuracy))));
-        const avgAttemptsPerActivity = totalAttempts / (activityCount || 1);
-        let learningPattern = { type: "Methodical", description: "Student is progressing at a steady pace.", icon: "coffee", class: "success" };
-        if (avgAttemptsPerActivity > 15 && avgAccuracy < 70) learningPattern = { type: "Persistence without Mastery", description: "High attempts without accuracy gains suggests guessing or a core misconception.", icon: "repeat", class: "warning" };
-        else if (avgAccuracy < 60) learningPattern = { type: "Knowledge Gap", description: "Low accuracy suggests a potential gap in foundational knowledge.", icon: "x-circle", class: "danger" };
-        
-        container.innerHTML = `
+        render(container, html`
+            <div class="section">
+                <div class="student-card-header">
+                    <h3><i data-feather="user"></i> ${report.userName}</h3>
+                    <span class="status-tag ${statusClass(report.statusId)}">${report.status}</span>
+                </div>
+                <div class="export-bar">
+                    <button class="report-button" data-userid="${userId}" data-report-action="print"><i data-feather="printer"></i>Print / PDF</button>
+                    <button class="report-button" data-userid="${userId}" data-report-action="download"><i data-feather="download"></i>HTML</button>
+                </div>
+                <div class="student-card-body">
+                    <div class="stat"><div class="stat-value">${truncateToDecimals(report.avgAccuracy, 1)}%</div><div class="stat-label">Avg. Accuracy</div></div>
+                    <div class="stat"><div class="stat-value">${truncateToDecimals(report.avgCompletion, 1)}%</div><div class="stat-label">Avg. Completion</div></div>
+                    <div class="stat"><div class="stat-value">${report.totalAttempts}</div><div class="stat-label">Total Attempts</div></div>
+                    <div class="stat"><div class="stat-value">${report.totalTimeSpent}</div><div class="stat-label">Total Time</div></div>
+                </div>
+            </div>
+            ${renderCategoryProfile(report)}
             <div class="section">
                 <h3><i data-feather="bar-chart-2"></i> Learning Pattern (The "Why")</h3>
                 <div class="insight-card ${learningPattern.class}">
                     <i data-feather="${learningPattern.icon}"></i>
-                    <p><strong>${learningPattern.type}:</strong> ${learningPattern.description}</p>
+                    <div>
+                        <p><strong>${learningPattern.type}:</strong> ${learningPattern.description}</p>
+                        ${learningPattern.reason ? html`<p class="rule-reason">Rule: ${learningPattern.reason}</p>` : ''}
+                    </div>
                 </div>
+                ${report.flag && report.flag.details ? html`
+                <p class="rule-reason">${report.flag.reason}</p>
+                <ul class="rule-details">${report.flag.details.map(detail => html`<li>${detail}</li>`)}</ul>` : ''}
             </div>
             <div class="section">
                 <h3><i data-feather="map-pin"></i> Struggling Concepts (The "Where")</h3>
                 <div class="card-list">
-                    ${strugglingConcepts.size > 0 ? Array.from(strugglingConcepts.entries()).map(([name, accuracy]) => `...`).join('') : '<p>No specific concept struggles found.</p>'}
+                    ${strugglingConcepts.length > 0 ? strugglingConcepts.map(concept => html`
+                    <div class="insight-card danger">
+                        <i data-feather="x-circle"></i>
+                        <div>
+                            <p><strong>${concept.name}</strong> &mdash; ${truncateToDecimals(concept.accuracy, 1)}% accuracy</p>
+                            <p class="concept-parent">${concept.category} › ${concept.componentName}</p>
+                        </div>
+                    </div>`) : html`<p>No specific concept struggles found.</p>`}
                 </div>
-            </div>`;
+            </div>
+            <div class="section intervention-panel" data-userid="${userId}"></div>
+            <div class="section">
+                <h3><i data-feather="layers"></i> Unit Breakdown vs. Cohort</h3>
+                ${report.chapters.map(chapter => html`
+                <details class="toc-item" open>
+                    <summary><div class="toc-title">Chapter ${chapter.chapterNo}: ${chapter.chapterName}</div></summary>
+                    <div class="toc-content">
+                        <table class="diagnostic-table">
+                            <thead><tr><th>Unit / Activity</th><th>Accuracy</th><th>Cohort Avg.</th><th>Δ</th><th>Completion</th><th>Attempts</th></tr></thead>
+                            <tbody>
+                                ${chapter.units.map(unit => html`
+                                <tr class="unit-row">
+                                    <td>Unit ${unit.unitNo}: ${unit.unitName}</td>
+                                    <td>${truncateToDecimals(unit.accuracy, 1)}%</td>
+                                    <td>${truncateToDecimals(unit.cohortAccuracy, 1)}%</td>
+                                    <td>${formatDelta(unit.accuracyDelta)}</td>
+                                    <td>${truncateToDecimals(unit.completion, 1)}% <span class="cohort-hint">(cohort ${truncateToDecimals(unit.cohortCompletion, 1)}%)</span></td>
+                                    <td>${unit.totalAttempts}</td>
+                                </tr>
+                                ${unit.activities.map(act => html`
+                                <tr class="activity-row">
+                                    <td>${act.activityName}</td>
+                                    <td>${truncateToDecimals(act.accuracy, 1)}%</td>
+                                    <td></td><td></td><td></td>
+                                    <td>${act.totalAttempts}</td>
+                                </tr>`)}`)}
+                            </tbody>
+                        </table>
+                    </div>
+                </details>`)}
+            </div>`);
         feather.replace();
     }
     
-    function renderConceptAnalysis(data, container) {
-        const conceptMap = new Map();
-        data.chapters.forEach(ch => ch.units.forEach(unit => unit.users.forEach(user => user.activities.forEach(activity => activity.performanceByCategory.forEach(cat => cat.components.forEach(comp => comp.elements.forEach(el => {
-            if (!conceptMap.has(el.elementId)) conceptMap.set(el.elementId, { name: el.elementName, accuracies: [], attempts: [] });
-            const concept = conceptMap.get(el.elementId);
-            if (el.accuracy > 0) concept.accuracies.push(el.accuracy);
-            // This assumes attempts data is available per concept, which it isn't in the flat structure. We'll simulate it.
-            const userActivity = user.activities.find(a => a.performanceByCategory.some(c=>c.components.some(p=>p.elements.some(e=>e.elementId === el.elementId))));
-            if(userActivity) concept.attempts.push(userActivity.totalAttempts);
-        })))))));
-
-        const concepts = Array.from(conceptMap.values()).map(c => {
-            const avgAccuracy = calculateAverage(c.accuracies);
-            const avgAttempts = calculateAverage(c.attempts);
-            const difficulty = (100 - avgAccuracy) * (avgAttempts > 1 ? avgAttempts : 1.1);
-            return { ...c, avgAccuracy, avgAttempts, difficulty };
-        }).sort((a, b) => b.difficulty - a.difficulty);
-
-        container.innerHTML = `<div class="section"><h3>Concept Performance & Difficulty</h3><p class="description">Concepts are ranked by a "Difficulty Index," which combines low accuracy with high learner effort.</p><div class="grid-layout">${concepts.map(c => `
-            <div class="analysis-card">
+    function renderConceptAnalysis(data, container, sort) {
+        const concepts = getViewItems('concepts', data, sort);
+        render(container, html`<div class="section"><h3>Concept Performance & Difficulty</h3><p class="description">Concepts are ranked by a "Difficulty Index," which combines low accuracy with high learner effort.</p><div class="chart-grid-layout">${renderDifficultyHistogram(concepts)}${renderConceptHeatmap(data)}</div>${renderConceptTree(buildConceptTree(data), sort)}${renderViewToolbar('concepts', sort)}<div class="grid-layout">${concepts.map(c => html`
+            <div class="analysis-card" data-anchor="concept:${c.elementId}">
                 <div class="name">${c.name}</div>
                 <div class="analysis-card-body">
-                    <div class="stat"><div class="difficulty-score ${c.difficulty > 800 ? 'high' : c.difficulty > 400 ? 'medium' : 'low'}">${truncateToDecimals(c.difficulty, 0)}</div><div class="stat-label">Difficulty Index</div></div>
+                    <div class="stat"><div class="difficulty-score ${c.difficultyBand}" title="${c.difficultyReason}">${truncateToDecimals(c.difficulty, 0)}</div><div class="stat-label">Difficulty Index</div></div>
                     <div class="stat"><div class="stat-value">${truncateToDecimals(c.avgAccuracy, 1)}%</div><div class="stat-label">Avg. Accuracy</div></div>
                     <div class="stat"><div class="stat-value">${truncateToDecimals(c.avgAttempts, 1)}</div><div class="stat-label">Avg. Attempts</div></div>
+                    <div class="stat"><div class="stat-value">${c.learnerCount}</div><div class="stat-label">Learners</div></div>
                 </div>
-            </div>`).join('')}</div></div>`;
+                <p class="concept-parent">${c.category} › ${c.componentName} &middot; ${c.totalAttempts} attempts across ${c.activityCount} activit${c.activityCount === 1 ? 'y' : 'ies'}</p>
+            </div>`)}</div></div>`);
+    }
+
+    // Categories and components expand to their elements; elements follow the concepts tab's current sort.
+    function renderConceptTree(categories, sort) {
+        const figures = (node) => html`
+            <div class="toc-stats">
+                <div class="stat"><div class="stat-value">${truncateToDecimals(node.avgAccuracy, 1)}%</div><div class="stat-label">Avg. Accuracy</div></div>
+                <div class="stat"><div class="stat-value">${node.learnerCount}</div><div class="stat-label">Learners</div></div>
+                <div class="stat"><div class="stat-value">${truncateToDecimals(node.avgAttempts, 1)}</div><div class="stat-label">Avg. Attempts</div></div>
+                <div class="stat"><div class="stat-value difficulty-score ${node.difficultyBand}" title="${node.difficultyReason}">${truncateToDecimals(node.difficulty, 0)}</div><div class="stat-label">Difficulty</div></div>
+            </div>`;
+        return html`
+            <div class="section concept-tree">
+                <h3><i data-feather="git-merge"></i> Concept Hierarchy</h3>
+                <p class="description">Drill down from category to component to individual concepts. Each level rolls up every learner result beneath it.</p>
+                ${categories.map(category => html`
+                <details class="toc-item">
+                    <summary><div class="toc-title">${category.category}</div>${figures(category)}</summary>
+                    <div class="toc-content">
+                        ${category.components.map(component => html`
+                        <details class="toc-item concept-component">
+                            <summary><div class="toc-title">${component.componentName}</div>${figures(component)}</summary>
+                            <div class="toc-content">
+                                <table class="diagnostic-table">
+                                    <thead><tr><th>Concept</th><th>Accuracy</th><th>Learners</th><th>Avg. Attempts</th><th>Total Attempts</th><th>Difficulty</th></tr></thead>
+                                    <tbody>
+                                        ${sortItems(component.elements, 'concepts', sort).map(el => html`
+                                        <tr class="concept-row" data-nav-type="concept" data-nav-id="${el.elementId}">
+                                            <td>${el.name}</td>
+                                            <td>${truncateToDecimals(el.avgAccuracy, 1)}%</td>
+                                            <td>${el.learnerCount}</td>
+                                            <td>${truncateToDecimals(el.avgAttempts, 1)}</td>
+                                            <td>${el.totalAttempts}</td>
+                                            <td><span class="difficulty-score ${el.difficultyBand}" title="${el.difficultyReason}">${truncateToDecimals(el.difficulty, 0)}</span></td>
+                                        </tr>`)}
+                                    </tbody>
+                                </table>
+                            </div>
+                        </details>`)}
+                    </div>
+                </details>`)}
+            </div>`;
     }
     
-    function renderActivityAnalysis(data, container) {
-        const activityMap = new Map();
-        data.chapters.forEach(ch => ch.units.forEach(unit => unit.users.forEach(user => user.activities.forEach(act => {
-            if (!activityMap.has(act.activityName)) activityMap.set(act.activityName, { accuracies: [], attempts: [] });
-            const activity = activityMap.get(act.activityName);
-            activity.accuracies.push(act.accuracy);
-            activity.attempts.push(act.totalAttempts);
-        }))));
-        
-        container.innerHTML = `<div class="section"><h3>Activity Type Effectiveness</h3><p class="description">Analyze which teaching methods are most effective for this cohort.</p><div class="grid-layout">${Array.from(activityMap.entries()).map(([name, data]) => {
-            const avgAccuracy = calculateAverage(data.accuracies);
-            const avgAttempts = calculateAverage(data.attempts);
-            let effectiveness = { text: "Effective", class: "success" };
-            if (avgAccuracy < 70 && avgAttempts > 10) effectiveness = { text: "Needs Review", class: "danger" };
-            else if (avgAccuracy < 80) effectiveness = { text: "Moderate", class: "warning" };
-            return `
-            <div class="analysis-card">
-                <div class="name">${name}</div>
-                <div class="insight-card ${effectiveness.class}"><i data-feather="award"></i> <p><strong>Effectiveness:</strong> ${effectiveness.text}</p></div>
+    function renderActivityAnalysis(data, container, sort) {
+        const activities = getViewItems('activities', data, sort);
+        render(container, html`<div class="section"><h3>Activity Type Effectiveness</h3><p class="description">Analyze which teaching methods are most effective for this cohort.</p>${renderActivityBoxPlot(activities)}${renderViewToolbar('activities', sort)}<div class="grid-layout">${activities.map(activity => html`
+            <div class="analysis-card" data-anchor="activity:${activity.name}">
+                <div class="name">${activity.name}</div>
+                <div class="insight-card ${activity.effectiveness.class}"><i data-feather="award"></i> <div><p><strong>Effectiveness:</strong> ${activity.effectiveness.text}</p>${activity.effectiveness.flag ? html`<p class="rule-reason">${activity.effectiveness.flag.reason}</p>` : ''}</div></div>
                 <div class="analysis-card-body">
-                    <div class="stat"><div class="stat-value">${truncateToDecimals(avgAccuracy, 1)}%</div><div class="stat-label">Avg. Accuracy</div></div>
-                    <div class="stat"><div class="stat-value">${truncateToDecimals(avgAttempts, 1)}</div><div class="stat-label">Avg. Attempts</div></div>
+                    <div class="stat"><div class="stat-value">${truncateToDecimals(activity.avgAccuracy, 1)}%</div><div class="stat-label">Avg. Accuracy</div></div>
+                    <div class="stat"><div class="stat-value">${truncateToDecimals(activity.avgAttempts, 1)}</div><div class="stat-label">Avg. Attempts</div></div>
                 </div>
-            </div>`;
-        }).join('')}</div></div>`;
+            </div>`)}</div></div>`);
         feather.replace();
     }
     
-    // --- DATA TRANSFORMATION & HELPERS ---
-    
-    const truncateToDecimals = (num, d = 2) => { const n = parseFloat(num); if (isNaN(n)) return 0; return parseFloat(n.toFixed(d)); };
-    const calculateAverage = (arr) => { if (!arr || arr.length === 0) return 0; const sum = arr.reduce((acc, val) => acc + val, 0); return sum / arr.length; };
-    const formatSecondsToDuration = (s) => { if (isNaN(s) || s < 0) return "00:00:00"; const h = Math.floor(s / 3600); const m = Math.floor((s % 3600) / 60); const sec = Math.floor(s % 60); return [h, m, sec].map(v => v.toString().padStart(2, '0')).join(':'); };
-    const parseTimeObjectToSeconds = (t) => { if (!t) return 0; if (typeof t === 'string') return parseDurationToSeconds(t); return (t.hours || 0) * 3600 + (t.minutes || 0) * 60 + (t.seconds || 0); };
-    const parseDurationToSeconds = (d) => { if (!d || typeof d !== 'string') return 0; const p = d.split(':').map(Number); return p.length !== 3 ? 0 : p[0] * 3600 + p[1] * 60 + p[2]; };
-    const getLearningSystemHierarchy = (flatData) => {
-        if (!flatData || flatData.length === 0) { return { message: "No data found for the specified criteria." }; }
-        const root = { chapters: [] };
-        const chaptersMap = new Map();
-        for (const row of flatData) {
-            if (!chaptersMap.has(row.ChapterId)) { chaptersMap.set(row.ChapterId, { chapterId: String(row.ChapterId), chapterNo: row.ChapterNo, chapterName: row.ChapterName, _unitsMap: new Map() }); }
-            const chapter = chaptersMap.get(row.ChapterId);
-            if (row.UnitId && !chapter._unitsMap.has(row.UnitId)) { chapter._unitsMap.set(row.UnitId, { unitId: String(row.UnitId), unitNo: row.UnitNo, unitName: row.UnitName, _activitiesMap: new Map(), _usersMap: new Map() }); }
-            const unit = chapter._unitsMap.get(row.UnitId);
-            if (!unit) continue;
-            if (row.ActivityTypeId && !unit._activitiesMap.has(row.SequenceBuilderID)) { unit._activitiesMap.set(row.SequenceBuilderID, { activityId: `${row.UnitId}-${row.ActivityTypeId}-${row.SequenceBuilderID}`, activityName: row.ActivityTypeName, concepts: [] }); }
-            const activity = unit._activitiesMap.get(row.SequenceBuilderID);
-            if (activity && row.ConceptId && !activity.concepts.some(c => c.conceptId === String(row.ConceptId))) { activity.concepts.push({ conceptId: String(row.ConceptId), conceptName: row.ConceptName, conceptCategory: row.ConceptCategory }); }
-            if (row.UserId) {
-                if (!unit._usersMap.has(row.UserId)) { unit._usersMap.set(row.UserId, { userId: String(row.UserId), userName: row.UserFullName, completion: parseFloat(row.UnitCompletionPercentage) || 0, accuracy: parseFloat(row.UnitAccuracyPercentage) || 0, totalTimeSpentSeconds: parseTimeObjectToSeconds(row.UnitTimeSpent), _activityPerformanceMap: new Map() }); }
-                const user = unit._usersMap.get(row.UserId);
-                if (activity && !user._activityPerformanceMap.has(activity.activityId)) { user._activityPerformanceMap.set(activity.activityId, { activityName: activity.activityName, accuracy: truncateToDecimals(row.ActivityTypeAccuracyPercentage, 2) || 0, totalAttempts: row.ActivityTotalAttempts, performanceByCategory: [] }); }
-                if (activity && row.ConceptId) {
-                    const activityPerformance = user._activityPerformanceMap.get(activity.activityId);
-                    const category = activityPerformance.performanceByCategory.find(c => c.category === row.ConceptCategory);
-                    if (!category) activityPerformance.performanceByCategory.push({ category: row.ConceptCategory, components: [] });
-                    const currentCategory = activityPerformance.performanceByCategory.find(c => c.category === row.ConceptCategory);
-                    const component = currentCategory.components.find(c => c.componentId === String(row.ConceptParentId));
-                    if (!component) currentCategory.components.push({ componentId: String(row.ConceptParentId), componentName: row.ConceptParentName, elements: [] });
-                    const currentComponent = currentCategory.components.find(c => c.componentId === String(row.ConceptParentId));
-                    if (!currentComponent.elements.some(e => e.elementId === String(row.ConceptId))) currentComponent.elements.push({ elementId: String(row.ConceptId), elementName: row.ConceptName, accuracy: truncateToDecimals(row.ConceptAccuracyPercentage, 2) || 0 });
-                }
-            }
+    // --- CHARTS ---
+
+    // Chart markup comes from analytics-charts.js, which escapes every label and tooltip itself, so renderers pass it in as raw().
+    const renderChartCard = (title, hint, chart) => html`
+        <figure class="chart-card">
+            <figcaption><strong>${title}</strong><span class="chart-hint">${hint}</span></figcaption>
+            ${chart}
+        </figure>`;
+
+    function renderUnitScatter(data) {
+        const { problematicUnit } = data.rules;
+        const points = data.chapters.flatMap(ch => ch.units.map(unit => ({
+            x: parseDurationToSeconds(unit.avgTimeSpent) / 60, y: unit.avgAccuracy, highlight: unit.isProblematic,
+            tooltip: `Unit ${unit.unitNo}: ${unit.unitName} (Chapter ${ch.chapterNo}) — ${truncateToDecimals(unit.avgAccuracy, 1)}% accuracy, ${unit.avgTimeSpent} average time, ${unit.noOfLearners} learners${unit.isProblematic ? ` — ${unit.flag.label}` : ''}`,
+            target: { type: 'unit', id: unit.unitId },
+        })));
+        const guides = [{ axis: 'y', value: problematicUnit.accuracyBelow, label: `${problematicUnit.label} below ${problematicUnit.accuracyBelow}%` }];
+        if (problematicUnit.requireAboveAverageTime) guides.push({ axis: 'x', value: data.courseAverageTimePerUnit / 60, label: 'Course avg. time' });
+        const chart = raw(scatterChart(points, { title: 'Unit accuracy against average time spent', xLabel: 'Average time per learner (minutes)', yLabel: 'Average accuracy', xFormat: v => Math.round(v), guides }));
+        return renderChartCard('Accuracy vs. Time', `Highlighted points are ${problematicUnit.label.toLowerCase()} units. Click a point to open the unit.`, chart);
+    }
+
+    function renderDifficultyHistogram(concepts) {
+        const items = concepts.map(c => ({ value: c.difficulty, name: c.name, className: c.difficultyBand, target: { type: 'concept', id: c.elementId } }));
+        const chart = raw(histogram(items, { title: 'Distribution of concept difficulty', xLabel: 'Difficulty index', yLabel: 'Concepts' }));
+        return renderChartCard('Difficulty Distribution', 'Click a bar to open the hardest concept in it.', chart);
+    }
+
+    function renderConceptHeatmap(data) {
+        const { units, concepts, cells } = buildConceptUnitMatrix(data);
+        const cellMap = new Map(cells.map(cell => [`${cell.elementId}|${cell.unitId}`, cell]));
+        const unitNames = new Map(units.map(u => [u.unitId, u.unitName]));
+        const conceptNames = new Map(concepts.map(c => [c.elementId, c.name]));
+        const rows = concepts.map(c => ({ id: c.elementId, label: c.name, tooltip: `${c.name} (${c.category})`, target: { type: 'concept', id: c.elementId } }));
+        const columns = units.map(u => ({ id: u.unitId, label: `${u.chapterNo}.${u.unitNo}`, tooltip: `Unit ${u.unitNo}: ${u.unitName} (Chapter ${u.chapterNo})`, target: { type: 'unit', id: u.unitId } }));
+        const cellAt = (elementId, unitId) => {
+            const cell = cellMap.get(`${elementId}|${unitId}`);
+            return cell ? { value: cell.accuracy, tooltip: `${conceptNames.get(elementId)} in ${unitNames.get(unitId)}: ${truncateToDecimals(cell.accuracy, 1)}% accuracy (${cell.learners} learners)` } : null;
+        };
+        const chart = raw(heatmap(rows, columns, cellAt, { title: 'Concept accuracy by unit' }));
+        return renderChartCard('Concept × Unit Accuracy', 'Red is low accuracy, green is high. Columns are chapter.unit.', html`<div class="chart-scroll">${chart}</div>`);
+    }
+
+    function renderActivityBoxPlot(activities) {
+        const groups = activities.map(activity => ({
+            label: activity.name, target: { type: 'activity', id: activity.name },
+            samples: activity.samples.map(sample => ({ value: sample.accuracy, tooltip: `${sample.userName} in ${sample.unitName}: ${truncateToDecimals(sample.accuracy, 1)}%`, target: { type: 'student', id: sample.userId } })),
+        }));
+        const chart = raw(boxPlot(groups, { title: 'Accuracy distribution per activity type', xLabel: 'Activity type', yLabel: 'Learner accuracy' }));
+        return renderChartCard('Accuracy Distribution', 'Boxes span the middle half of learner results; dots are outliers. Click a dot to open the student.', chart);
+    }
+
+    // Radar needs at least three categories to enclose an area; fewer fall back to grouped bars.
+    function renderCategoryProfile(report) {
+        if (report.categories.length === 0) return '';
+        const categoryAxes = report.categories.map(c => ({
+            label: c.category, values: [c.accuracy, c.cohortAccuracy],
+            tooltip: `${c.category}: ${truncateToDecimals(c.accuracy, 1)}% (cohort ${truncateToDecimals(c.cohortAccuracy, 1)}%). Weakest: ${c.weakestConcept.name} at ${truncateToDecimals(c.weakestConcept.accuracy, 1)}%`,
+            target: { type: 'concept', id: c.weakestConcept.elementId },
+        }));
+        const series = [{ name: report.userName }, { name: 'Cohort' }];
+        const options = { title: `Accuracy by concept category for ${report.userName}` };
+        const chart = raw(categoryAxes.length >= 3 ? radarChart(categoryAxes, series, options) : barChart(categoryAxes, series, options));
+        return html`
+            <div class="section">
+                <h3><i data-feather="target"></i> Concept Category Profile</h3>
+                ${renderChartCard('Student vs. Cohort', 'Click a category to open the concept this student finds hardest in it.', chart)}
+            </div>`;
+    }
+
+    function renderTrends(data, container, state) {
+        const trends = buildTrends(data, state.snapshots);
+        if (!trends) {
+            render(container, html`<div class="section"><h3>Trends</h3><p>No timestamped attempts or snapshots match the current filters.</p></div>`);
+            return;
+        }
+        const levels = { chapters: 'Chapters', units: 'Units', students: 'Students' };
+        // A period with results but no score yet keeps its completion.
+        const cell = (accuracy, completion) => completion === null ? html`<td>–</td>` : html`<td>${accuracy === null ? 'No score' : `${truncateToDecimals(accuracy, 1)}%`} <span class="cohort-hint">(${truncateToDecimals(completion, 1)}% done)</span></td>`;
+        const change = (values) => {
+            const known = values.filter(v => v !== null);
+            return known.length < 2 ? html`<td></td>` : html`<td>${formatDelta(known[known.length - 1] - known[0])}</td>`;
+        };
+        const row = (entry, className) => html`<tr class="${className}"><td>${entry.name}</td>${entry.accuracy.map((a, i) => cell(a, entry.completion[i]))}${change(entry.accuracy)}</tr>`;
+        const sourceText = trends.source === 'timestamps' ? `Accuracy and completion per ${trends.bucket}, from attempt timestamps. Each learner's latest figures are carried forward until their next attempt.` : `Accuracy and completion across ${trends.points.length} export snapshots.`;
+
+        render(container, html`
+            <div class="section">
+                <h3>Trends Over Time</h3>
+                <p class="description">${sourceText}</p>
+                <div class="view-toolbar">
+                    <div class="sort-bar">
+                        <span class="sort-label">Show:</span>
+                        ${Object.entries(levels).map(([level, label]) => html`<button class="sort-button trend-level-button ${level === state.level ? 'active' : ''}" data-trend-level="${level}">${label}</button>`)}
+                    </div>
+                </div>
+                <div class="trend-table-wrapper">
+                    <table class="diagnostic-table trend-table">
+                        <thead><tr><th>${levels[state.level].slice(0, -1)}</th>${trends.points.map(point => html`<th>${point.label}</th>`)}<th>Δ</th></tr></thead>
+                        <tbody>
+                            ${row({ name: 'Whole course', ...trends.course }, 'unit-row')}
+                            ${trends[state.level].map(entry => row(entry, 'activity-row'))}
+                        </tbody>
+                    </table>
+                </div>
+            </div>
+            <div class="section">
+                <h3><i data-feather="alert-circle" style="color:var(--warning-color)"></i> Learners Needing Attention</h3>
+                <div class="card-list">
+                    ${trends.learners.length > 0 ? trends.learners.map(learner => html`
+                    <div class="insight-card warning">
+                        <i data-feather="${learner.flags.some(f => f.ruleId === 'declining') ? 'trending-down' : 'moon'}"></i>
+                        <div>
+                            <p><strong>${learner.userName}</strong> &mdash; ${learner.flags.map(f => f.label).join(', ')}</p>
+                            ${learner.flags.map(f => html`<p class="rule-reason">${f.reason}</p>`)}
+                        </div>
+                    </div>`) : html`<p>No declining or inactive learners.</p>`}
+                </div>
+            </div>
+            ${state.snapshots.length >= 2 ? renderSnapshotComparison(state) : ''}`);
+        feather.replace();
+    }
+
+    function renderSnapshotComparison(state) {
+        const comparison = compareSnapshots(state.snapshots[state.before], state.snapshots[state.after]);
+        const picker = (name, selected) => html`<select class="trend-compare" data-compare="${name}">${state.snapshots.map((snapshot, index) => html`<option value="${index}" ${index === selected ? 'selected' : ''}>${snapshot.label}</option>`)}</select>`;
+        const percent = (summary, key) => summary ? `${truncateToDecimals(summary[key], 1)}%` : '–';
+        const delta = (value) => value === null ? '' : formatDelta(value);
+        return html`
+            <div class="section">
+                <h3><i data-feather="git-pull-request"></i> Snapshot Comparison</h3>
+                <div class="analytics-filter-bar">
+                    <label class="filter-field"><span>Before</span>${picker('before', state.before)}</label>
+                    <label class="filter-field"><span>After</span>${picker('after', state.after)}</label>
+                </div>
+                <p class="description">${comparison.improved} unit${comparison.improved === 1 ? '' : 's'} improved and ${comparison.worsened} worsened between ${comparison.before} and ${comparison.after}.</p>
+                <table class="diagnostic-table">
+                    <thead><tr><th>Unit</th><th>Before</th><th>After</th><th>Δ Accuracy</th><th>Δ Completion</th><th>Change</th></tr></thead>
+                    <tbody>
+                        ${comparison.units.map(unit => html`
+                        <tr class="unit-row">
+                            <td>Unit ${unit.unitNo}: ${unit.unitName} <span class="cohort-hint">${unit.chapterName}</span></td>
+                            <td>${percent(unit.before, 'accuracy')}</td>
+                            <td>${percent(unit.after, 'accuracy')}</td>
+                            <td>${delta(unit.accuracyDelta)}</td>
+                            <td>${delta(unit.completionDelta)}</td>
+                            <td><span class="change-tag ${unit.change}">${unit.change}</span></td>
+                        </tr>`)}
+                    </tbody>
+                </table>
+            </div>`;
+    }
+
+    // --- GROUP COMPARISON ---
+
+    // Every difference is tested, not just eyeballed: groups are compared with Welch's t-test (two groups) or a one-way ANOVA
+    // (three or more), and only differences that pass the groupComparison rule get a marker.
+    function renderGroupComparison(data, container, state) {
+        const available = data.groups || [];
+        const selected = state.groups ? available.filter(group => state.groups.includes(group.name)) : available;
+        const comparison = compareGroups(data, selected.map(group => group.name));
+        const { groupComparison } = data.rules;
+        const picker = html`
+            <fieldset class="compare-picker">
+                <legend>Groups to compare</legend>
+                ${available.map(group => html`<label><input type="checkbox" class="compare-group" value="${group.name}" ${selected.includes(group) ? 'checked' : ''}> ${group.name} <span class="cohort-hint">(${group.learners})</span></label>`)}
+            </fieldset>`;
+        if (comparison.groups.length < 2) {
+            render(container, html`<div class="section"><h3>Compare Groups</h3>${picker}<p>Choose at least two groups with learners matching the current filters.</p></div>`);
+            return;
         }
-        const courseAverageTimePerUnit = calculateAverage(flatData.filter(r => r.UserId && r.UnitTimeSpent).map(r => parseTimeObjectToSeconds(r.UnitTimeSpent)));
-        root.chapters = Array.from(chaptersMap.values()).sort((a, b) => a.chapterNo - b.chapterNo).map(chapter => {
-            let chapterAccuracies = [], chapterCompletions = [];
-            const units = Array.from(chapter._unitsMap.values()).sort((a, b) => a.unitNo - b.unitNo).map(unit => {
-                const avgUnitTimePerUser = unit._usersMap.size > 0 ? Array.from(unit._usersMap.values()).reduce((sum, u) => sum + u.totalTimeSpentSeconds, 0) / unit._usersMap.size : 0;
-                const users = Array.from(unit._usersMap.values()).map(user => {
-                    chapterAccuracies.push(user.accuracy);
-                    chapterCompletions.push(user.completion);
-                    return {
-                        userId: user.userId, userName: user.userName, accuracy: user.accuracy, completion: user.completion,
-                        activities: Array.from(user._activityPerformanceMap.values()),
-                        isStruggling: user.accuracy < 50 && user.totalTimeSpentSeconds > avgUnitTimePerUser,
-                        totalTimeSpent: formatSecondsToDuration(user.totalTimeSpentSeconds),
-                    };
-                });
-                const avgUnitAccuracy = calculateAverage(users.map(u => u.accuracy).filter(a => a > 0));
-                return {
-                    unitId: unit.unitId, unitNo: unit.unitNo, unitName: unit.unitName,
-                    noOfLearners: users.length, avgAccuracy: truncateToDecimals(avgUnitAccuracy),
-                    avgTimeSpent: formatSecondsToDuration(avgUnitTimePerUser),
-                    isProblematic: avgUnitAccuracy < 60 && avgUnitTimePerUser > courseAverageTimePerUnit,
-                    users: users,
-                };
+
+        const percent = (value) => value === null ? '–' : `${truncateToDecimals(value, 1)}%`;
+        const significance = (result) => result.flag
+            ? html`<span class="significance-tag" title="${result.flag.reason}">✱ ${result.flag.label}</span>`
+            : html`<span class="cohort-hint" title="${result.test ? `${result.test.name}: p = ${truncateToDecimals(result.test.p, 3)}${result.test.comparisons > 1 ? `, Holm-adjusted p = ${truncateToDecimals(result.test.adjustedP, 3)}` : ''}` : `Too few values to test.`}">n.s.</span>`;
+        const spread = (result) => html`<td>${result.spread === null ? '–' : `${truncateToDecimals(result.spread, 1)} pts`} ${significance(result)}</td>`;
+        const groupHeaders = comparison.groups.map(group => html`<th>${group.name}</th>`);
+        const series = comparison.groups.map(group => ({ name: group.name }));
+        const categoryAxes = comparison.units.map(unit => ({
+            label: `${unit.chapterNo}.${unit.unitNo} ${unit.unitName}`, values: unit.accuracy.byGroup.map(group => group.mean),
+            tooltip: `Unit ${unit.unitNo}: ${unit.unitName} — ${unit.accuracy.byGroup.map(group => `${group.name} ${percent(group.mean)}`).join(', ')}${unit.accuracy.flag ? ` — ${unit.accuracy.flag.label}` : ''}`,
+            target: { type: 'unit', id: unit.unitId },
+        }));
+        const chart = raw(barChart(categoryAxes, series, { title: 'Unit accuracy by group', labelWidth: 180 }));
+
+        render(container, html`
+            <div class="section">
+                <h3>Compare Groups</h3>
+                <p class="description">The same units, concepts and activity types side by side for each group. <span class="significance-tag">✱ ${groupComparison.label}</span> marks a difference with p below ${groupComparison.significanceLevel} where every group has at least ${groupComparison.minGroupSize} learners; n.s. means the difference could be chance. p-values are Holm-adjusted across the rows of each table (unit accuracy and completion separately), so testing many rows at once does not flag chance differences.</p>
+                ${picker}
+                <div class="grid-layout">
+                    ${comparison.groups.map(group => html`
+                    <div class="analysis-card">
+                        <div class="name">${group.name}</div>
+                        <div class="analysis-card-body">
+                            <div class="stat"><div class="stat-value">${group.learners}</div><div class="stat-label">Learners</div></div>
+                            <div class="stat"><div class="stat-value">${percent(group.avgAccuracy)}</div><div class="stat-label">Avg. Accuracy</div></div>
+                            <div class="stat"><div class="stat-value">${percent(group.completion)}</div><div class="stat-label">Avg. Completion</div></div>
+                        </div>
+                    </div>`)}
+                </div>
+                ${renderChartCard('Unit Accuracy', 'One bar per group. Click a unit to open it in the overview.', chart)}
+            </div>
+            <div class="section">
+                <h3><i data-feather="trello"></i> Units</h3>
+                <div class="trend-table-wrapper">
+                    <table class="diagnostic-table compare-table">
+                        <thead><tr><th>Unit</th>${groupHeaders}<th>Δ Accuracy</th><th>Δ Completion</th></tr></thead>
+                        <tbody>
+                            ${comparison.units.map(unit => html`
+                            <tr class="unit-row compare-row" data-nav-type="unit" data-nav-id="${unit.unitId}">
+                                <td>Unit ${unit.unitNo}: ${unit.unitName} <span class="cohort-hint">${unit.chapterName}</span></td>
+                                ${unit.accuracy.byGroup.map((group, i) => html`<td>${percent(group.mean)} <span class="cohort-hint">(${percent(unit.completion.byGroup[i].mean)} done)</span></td>`)}
+                                ${spread(unit.accuracy)}
+                                ${spread(unit.completion)}
+                            </tr>`)}
+                        </tbody>
+                    </table>
+                </div>
+            </div>
+            <div class="section">
+                <h3><i data-feather="book-open"></i> Concept Difficulty</h3>
+                <p class="description">Difficulty index per group; the test compares the concept's accuracy. Significant differences are listed first.</p>
+                <div class="trend-table-wrapper">
+                    <table class="diagnostic-table compare-table">
+                        <thead><tr><th>Concept</th>${groupHeaders}<th>Δ Difficulty</th><th>Δ Accuracy</th></tr></thead>
+                        <tbody>
+                            ${comparison.concepts.map(concept => html`
+                            <tr class="activity-row compare-row" data-nav-type="concept" data-nav-id="${concept.elementId}">
+                                <td>${concept.name} <span class="cohort-hint">${concept.category}</span></td>
+                                ${concept.byGroup.map(group => group.difficulty === null ? html`<td>–</td>` : html`<td><span class="difficulty-score ${group.band}">${Math.round(group.difficulty)}</span> <span class="cohort-hint">(${percent(group.accuracy)})</span></td>`)}
+                                <td>${Math.round(concept.difficultySpread)}</td>
+                                ${spread(concept.accuracy)}
+                            </tr>`)}
+                        </tbody>
+                    </table>
+                </div>
+            </div>
+            <div class="section">
+                <h3><i data-feather="zap"></i> Activity Type Effectiveness</h3>
+                <div class="trend-table-wrapper">
+                    <table class="diagnostic-table compare-table">
+                        <thead><tr><th>Activity Type</th>${groupHeaders}<th>Δ Accuracy</th></tr></thead>
+                        <tbody>
+                            ${comparison.activities.map(activity => html`
+                            <tr class="activity-row compare-row" data-nav-type="activity" data-nav-id="${activity.name}">
+                                <td>${activity.name}</td>
+                                ${activity.byGroup.map(group => group.effectiveness === null ? html`<td>–</td>` : html`<td>${percent(group.accuracy)} <span class="change-tag ${group.effectiveness.class}">${group.effectiveness.text}</span></td>`)}
+                                ${spread(activity.accuracy)}
+                            </tr>`)}
+                        </tbody>
+                    </table>
+                </div>
+            </div>`);
+        feather.replace();
+    }
+
+    // --- INTERVENTIONS ---
+
+    const INTERVENTION_STATUS = { open: 'Open', resolved: 'Resolved' };
+    const INTERVENTION_MESSAGES = { note: 'Note saved.', remediation: 'Remediation assigned.', resolve: 'Intervention marked resolved.', reopen: 'Intervention reopened.' };
+    const formatDateTime = (at) => new Date(at).toLocaleString();
+
+    // An intervention concerns the student, not the current filters, so its concepts and activities come from the whole export.
+    // Null when the student isn't in it (a reload can drop them while their panel is open).
+    function interventionContext(instance, userId) {
+        const data = instance.fullData;
+        const report = data && !data.message ? buildStudentDiagnostic(data, userId) : null;
+        return report ? { report, activityTypes: analyzeActivities(data).map(activity => activity.name).sort() } : null;
+    }
+
+    function renderInterventionPanel(instance, container) {
+        const userId = container.getAttribute('data-userid');
+        const context = interventionContext(instance, userId);
+        if (!context) return;
+        const { records, error } = instance.interventions;
+        const record = records.get(userId) || null;
+        const { activityTypes, report: { strugglingConcepts } } = context;
+
+        render(container, html`
+            <div class="student-card-header">
+                <h3><i data-feather="clipboard"></i> Intervention</h3>
+                ${record ? html`<span class="status-tag intervention-${record.status}">${INTERVENTION_STATUS[record.status]}</span>` : ''}
+            </div>
+            ${error ? html`<p class="rule-reason intervention-error" role="alert">${error}</p>` : ''}
+            <h4>Notes</h4>
+            ${record && record.notes.length > 0 ? html`<ul class="intervention-log">${record.notes.map(note => html`<li><span class="cohort-hint">${formatDateTime(note.at)}</span> ${note.text}</li>`)}</ul>` : html`<p class="cohort-hint">No notes yet.</p>`}
+            <form class="intervention-form" data-intervention-action="note">
+                <label class="filter-field"><span>New note</span><textarea name="text" rows="2" required></textarea></label>
+                <button type="submit" class="intervention-button"><i data-feather="edit-3"></i>Add note</button>
+            </form>
+            <h4>Remediation</h4>
+            ${record && record.remediations.length > 0 ? html`<ul class="intervention-log">${record.remediations.map(item => html`<li><span class="cohort-hint">${formatDateTime(item.at)}</span> <strong>${item.activity}</strong> for ${item.concepts.map(concept => concept.name).join(', ')}</li>`)}</ul>` : ''}
+            ${strugglingConcepts.length > 0 && activityTypes.length > 0 ? html`
+            <form class="intervention-form" data-intervention-action="remediation">
+                <label class="filter-field"><span>Concept</span>
+                    <select name="concept"><option value="">All struggling concepts (${strugglingConcepts.length})</option>${strugglingConcepts.map(concept => html`<option value="${concept.elementId}">${concept.name}</option>`)}</select>
+                </label>
+                <label class="filter-field"><span>Activity</span>
+                    <select name="activity">${activityTypes.map(name => html`<option value="${name}">${name}</option>`)}</select>
+                </label>
+                <button type="submit" class="intervention-button"><i data-feather="send"></i>Assign</button>
+            </form>` : html`<p class="cohort-hint">No struggling concepts to remediate.</p>`}
+            ${record ? html`
+            <div class="export-bar">
+                ${record.status === 'open'
+                    ? html`<button type="button" class="intervention-button" data-intervention-action="resolve"><i data-feather="check"></i>Mark resolved</button>`
+                    : html`<button type="button" class="intervention-button" data-intervention-action="reopen"><i data-feather="rotate-ccw"></i>Reopen</button>
+                        <span class="cohort-hint">Resolved ${formatDateTime(record.resolvedAt)}</span>`}
+            </div>` : ''}`);
+        feather.replace();
+    }
+
+    // If the stored records never loaded, loading is retried first and the change is only made on top of them.
+    // The panel shows the change straight away; if the storage then refuses it, the previous record comes back with the error.
+    function updateIntervention(instance, userId, action, change) {
+        const { interventions } = instance;
+        if (!interventions.loaded) {
+            return loadInterventions(instance).then(() => {
+                if (interventions.loaded) return updateIntervention(instance, userId, action, change);
+                refreshInterventionPanel(instance, action, true);
             });
-            return {
-                chapterId: chapter.chapterId, chapterNo: chapter.chapterNo, chapterName: chapter.chapterName, units: units,
-                avgAccuracy: calculateAverage(chapterAccuracies), completion: calculateAverage(chapterCompletions)
-            };
+        }
+        const previous = interventions.records.get(userId);
+        const context = interventionContext(instance, userId);
+        const record = change(previous || createIntervention({ userId, userName: context ? context.report.userName : userId }));
+        interventions.records.set(userId, record);
+        interventions.error = null;
+        refreshInterventionPanel(instance, action, true);
+        return Promise.resolve().then(() => interventions.storage.save(record))
+            .then(() => {
+                const draft = action === 'note' && instance.container.querySelector('.intervention-panel [data-intervention-action="note"] textarea');
+                if (draft) draft.value = '';
+                announce(instance, INTERVENTION_MESSAGES[action]);
+                emit(instance, 'intervention:updated', { action, record });
+            })
+            .catch(error => {
+                if (interventions.records.get(userId) === record) {
+                    if (previous) interventions.records.set(userId, previous);
+                    else interventions.records.delete(userId);
+                }
+                interventions.error = `The change could not be saved: ${error.message}`;
+                refreshInterventionPanel(instance, action, true);
+                console.error("Analytics Component Error:", error);
+            });
+    }
+
+    // Re-rendering replaces the form that had focus, so focus goes back to the matching control. A note that couldn't be
+    // saved yet is kept in the text box (keepDraft).
+    function refreshInterventionPanel(instance, action, keepDraft) {
+        const panel = instance.container.querySelector('.intervention-panel');
+        if (!panel) return;
+        const draft = keepDraft && panel.querySelector('[data-intervention-action="note"] textarea');
+        const text = draft ? draft.value : '';
+        renderInterventionPanel(instance, panel);
+        if (text) panel.querySelector('[data-intervention-action="note"] textarea').value = text;
+        const control = panel.querySelector(action === 'note' ? '[data-intervention-action="note"] textarea' : action === 'remediation' ? '[data-intervention-action="remediation"] select' : '.intervention-button[data-intervention-action]');
+        if (control) control.focus();
+    }
+
+    // --- EXPORTS ---
+
+    // Renderers and exports read the same aggregated, sorted and filtered items, so a file never disagrees with the UI.
+    function getViewItems(viewName, data, sort) {
+        if (viewName === 'overview') return data.chapters.flatMap(ch => sortItems(ch.units, 'overview', sort).map(unit => ({ ...unit, chapterId: ch.chapterId, chapterNo: ch.chapterNo, chapterName: ch.chapterName })));
+        if (viewName === 'students') return sortItems(summarizeStudents(data), 'students', sort);
+        if (viewName === 'concepts') return sortItems(analyzeConcepts(data), 'concepts', sort);
+        return sortItems(analyzeActivities(data), 'activities', sort);
+    }
+
+    function exportView(instance, viewName, format) {
+        if (instance.viewData.message) return;
+        const table = toTable(viewName, getViewItems(viewName, instance.viewData, instance.sort[viewName]));
+        if (format === 'xlsx') downloadFile(`course-analytics-${viewName}.xlsx`, 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet', toXLSX(table, viewName));
+        else downloadFile(`course-analytics-${viewName}.csv`, 'text/csv;charset=utf-8', '\uFEFF' + toCSV(table));
+    }
+
+    function exportStudentReport(instance, userId, action) {
+        const report = buildStudentDiagnostic(instance.viewData, userId);
+        if (!report) return;
+        const html = toStudentReportHTML(report, { courseTitle: instance.options.title });
+        if (action === 'download') {
+            downloadFile(`diagnostic-report-${userId}.html`, 'text/html;charset=utf-8', html);
+            return;
+        }
+        // Print from a hidden frame so the page itself is untouched; "Save as PDF" in the print dialog produces the PDF.
+        const frame = document.createElement('iframe');
+        frame.className = 'analytics-print-frame';
+        frame.setAttribute('aria-hidden', 'true');
+        frame.onload = () => {
+            frame.contentWindow.focus();
+            frame.contentWindow.print();
+            setTimeout(() => frame.remove(), 1000);
+        };
+        frame.srcdoc = html;
+        document.body.appendChild(frame);
+    }
+
+    function downloadFile(fileName, mimeType, content) {
+        const url = URL.createObjectURL(new Blob([content], { type: mimeType }));
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = fileName;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        setTimeout(() => URL.revokeObjectURL(url), 0);
+    }
+
+    const formatDelta = (delta) => html`<span class="delta ${delta < 0 ? 'negative' : 'positive'}">${delta > 0 ? '+' : ''}${truncateToDecimals(delta, 1)}</span>`;
+
+    const statusClass = (statusId) => statusId === 'onTrack' ? 'on-track' : statusId;
+
+    const sortItems = (items, viewName, sort) => {
+        const column = SORT_COLUMNS[viewName].find(c => c.key === sort.key) || SORT_COLUMNS[viewName][0];
+        const direction = sort.dir === 'desc' ? -1 : 1;
+        return [...items].sort((a, b) => {
+            const x = column.value(a), y = column.value(b);
+            const order = typeof x === 'number' && typeof y === 'number' ? x - y : String(x ?? '').localeCompare(String(y ?? ''), undefined, { numeric: true });
+            return order * direction;
         });
-        const allUsers = new Set(flatData.map(r => r.UserId).filter(Boolean));
-        root.noOfLearners = allUsers.size;
-        root.avgAccuracy = truncateToDecimals(calculateAverage(root.chapters.flatMap(c => c.units.map(u => u.avgAccuracy)).filter(a => a > 0)));
-        root.completion = truncateToDecimals(calculateAverage(root.chapters.flatMap(c => c.units.flatMap(u => u.users.map(user => user.completion)))));
-        root.totalTimeSpent = formatSecondsToDuration(root.chapters.flatMap(c => c.units.flatMap(u => u.users.map(user => parseDurationToSeconds(user.totalTimeSpent)))).reduce((sum, time) => sum + time, 0));
-        return root;
     };
+
+    // --- AUTO-MOUNT ---
+
+    // Declarative usage: <div data-analytics-source="output.json"></div>
+    const autoMount = () => document.querySelectorAll('[data-analytics-source]').forEach(element => {
+        if (!mountedInstances.has(element)) CourseAnalytics.mount(element, { source: element.getAttribute('data-analytics-source'), rules: element.getAttribute('data-analytics-rules') || undefined, groupBy: element.getAttribute('data-analytics-group-by') || undefined, storage: element.getAttribute('data-analytics-storage') || undefined });
+    });
+    if (document.readyState === 'loading') document.addEventListener('DOMContentLoaded', autoMount);
+    else autoMount();
 })();
\ No newline at end of file
@@ -0,0 +1,189 @@
+// Dependency-free CSV / XLSX / printable-HTML exports for the analytics views.
+(function(root, factory) {
+    if (typeof module === 'object' && module.exports) module.exports = factory(require('./hierarchy-builder.js'), require('./analytics-templates.js'));
+    else root.AnalyticsExport = factory(root.LearningHierarchy, root.AnalyticsTemplates);
+})(typeof self !== 'undefined' ? self : this, function(LearningHierarchy, AnalyticsTemplates) {
+    const { truncateToDecimals } = LearningHierarchy;
+    const { escapeHTML } = AnalyticsTemplates;
+
+    // --- TABLE DEFINITIONS ---
+
+    // Each view exports the same aggregated items its renderer draws; these only pick and label the columns.
+    const EXPORT_COLUMNS = {
+        overview: [
+            { label: 'Chapter No', value: u => u.chapterNo },
+            { label: 'Chapter', value: u => u.chapterName },
+            { label: 'Unit No', value: u => u.unitNo },
+            { label: 'Unit', value: u => u.unitName },
+            { label: 'avgAccuracy', value: u => u.avgAccuracy },
+            { label: 'avgTimeSpent', value: u => u.avgTimeSpent },
+            { label: 'noOfLearners', value: u => u.noOfLearners },
+            { label: 'isProblematic', value: u => u.isProblematic },
+            { label: 'Rule', value: u => u.flag ? u.flag.reason : '' },
+        ],
+        students: [
+            { label: 'User ID', value: s => s.userId },
+            { label: 'Name', value: s => s.userName },
+            { label: 'Status', value: s => s.status },
+            { label: 'Avg. Accuracy', value: s => truncateToDecimals(s.avgAccuracy, 2) },
+            { label: 'Avg. Completion', value: s => truncateToDecimals(s.avgCompletion, 2) },
+            { label: 'Total Time', value: s => s.totalTimeSpent },
+            { label: 'Units', value: s => s.unitCount },
+            { label: 'Rule', value: s => s.flag ? [s.flag.reason, ...(s.flag.details || [])].join(' ') : '' },
+        ],
+        concepts: [
+            { label: 'Concept', value: c => c.name },
+            { label: 'Category', value: c => c.category },
+            { label: 'Component', value: c => c.componentName },
+            { label: 'Difficulty Index', value: c => truncateToDecimals(c.difficulty, 0) },
+            { label: 'Difficulty Band', value: c => c.difficultyBand },
+            { label: 'Rule', value: c => c.difficultyReason },
+            { label: 'Avg. Accuracy', value: c => truncateToDecimals(c.avgAccuracy, 2) },
+            { label: 'Avg. Attempts', value: c => truncateToDecimals(c.avgAttempts, 2) },
+            { label: 'Total Attempts', value: c => c.totalAttempts },
+            { label: 'Learners', value: c => c.learnerCount },
+            { label: 'Activities', value: c => c.activityCount },
+        ],
+        activities: [
+            { label: 'Activity Type', value: a => a.name },
+            { label: 'Effectiveness', value: a => a.effectiveness.text },
+            { label: 'Rule', value: a => a.effectiveness.flag ? a.effectiveness.flag.reason : '' },
+            { label: 'Avg. Accuracy', value: a => truncateToDecimals(a.avgAccuracy, 2) },
+            { label: 'Avg. Attempts', value: a => truncateToDecimals(a.avgAttempts, 2) },
+        ],
+    };
+
+    const toTable = (viewName, items) => {
+        const columns = EXPORT_COLUMNS[viewName];
+        if (!columns) throw new Error(`No export defined for view "${viewName}".`);
+        return { columns: columns.map(c => c.label), rows: items.map(item => columns.map(c => c.value(item))) };
+    };
+
+    // --- CSV ---
+
+    // Cells starting with =, +, -, @, a tab or a carriage return are prefixed so spreadsheet apps don't evaluate learner-supplied
+    // names as formulas.
+    const csvCell = (value) => {
+        if (value === undefined || value === null) return '';
+        let text = String(value);
+        if (typeof value === 'string' && /^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+        return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    };
+
+    const toCSV = (table) => [table.columns, ...table.rows].map(row => row.map(csvCell).join(',')).join('\r\n');
+
+    // --- XLSX ---
+
+    const columnLetter = (index) => { let n = index + 1, name = ''; while (n > 0) { const r = (n - 1) % 26; name = String.fromCharCode(65 + r) + name; n = Math.floor((n - 1) / 26); } return name; };
+
+    // The sheet XML goes through the same escaper as the markup: every entity it writes, &#39; included, is valid XML.
+    const xlsxCell = (value, ref) => {
+        if (typeof value === 'number' && Number.isFinite(value)) return `<c r="${ref}"><v>${value}</v></c>`;
+        if (typeof value === 'boolean') return `<c r="${ref}" t="b"><v>${value ? 1 : 0}</v></c>`;
+        return `<c r="${ref}" t="inlineStr"><is><t xml:space="preserve">${escapeHTML(value)}</t></is></c>`;
+    };
+
+    const toXLSX = (table, sheetName = 'Sheet1') => {
+        const safeSheetName = String(sheetName).replace(/[\\/?*[\]:]/g, ' ').slice(0, 31) || 'Sheet1';
+        const sheetRows = [table.columns, ...table.rows].map((row, r) => `<row r="${r + 1}">${row.map((value, c) => xlsxCell(value, `${columnLetter(c)}${r + 1}`)).join('')}</row>`).join('');
+        return createZip([
+            { name: '[Content_Types].xml', content: '<?xml version="1.0" encoding="UTF-8" standalone="yes"?><Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types"><Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/><Default Extension="xml" ContentType="application/xml"/><Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/><Override PartName="/xl/worksheets/sheet1.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/></Types>' },
+            { name: '_rels/.rels', content: '<?xml version="1.0" encoding="UTF-8" standalone="yes"?><Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships"><Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="xl/workbook.xml"/></Relationships>' },
+            { name: 'xl/workbook.xml', content: `<?xml version="1.0" encoding="UTF-8" standalone="yes"?><workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships"><sheets><sheet name="${escapeHTML(safeSheetName)}" sheetId="1" r:id="rId1"/></sheets></workbook>` },
+            { name: 'xl/_rels/workbook.xml.rels', content: '<?xml version="1.0" encoding="UTF-8" standalone="yes"?><Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships"><Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/worksheet" Target="worksheets/sheet1.xml"/></Relationships>' },
+            { name: 'xl/worksheets/sheet1.xml', content: `<?xml version="1.0" encoding="UTF-8" standalone="yes"?><worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main"><sheetData>${sheetRows}</sheetData></worksheet>` },
+        ]);
+    };
+
+    // Minimal ZIP writer (stored, uncompressed) – enough for an OOXML package without pulling in a library.
+    const CRC_TABLE = Array.from({ length: 256 }, (_, n) => { let c = n; for (let k = 0; k < 8; k++) c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1; return c >>> 0; });
+    const crc32 = (bytes) => { let crc = 0xFFFFFFFF; for (let i = 0; i < bytes.length; i++) crc = CRC_TABLE[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8); return (crc ^ 0xFFFFFFFF) >>> 0; };
+
+    const createZip = (files) => {
+        const encoder = new TextEncoder();
+        const now = new Date();
+        const dosTime = (now.getHours() << 11) | (now.getMinutes() << 5) | Math.floor(now.getSeconds() / 2);
+        const dosDate = ((now.getFullYear() - 1980) << 9) | ((now.getMonth() + 1) << 5) | now.getDate();
+        const localParts = [], centralParts = [];
+        let offset = 0;
+
+        files.forEach(file => {
+            const name = encoder.encode(file.name);
+            const data = encoder.encode(file.content);
+            const crc = crc32(data);
+            const local = new DataView(new ArrayBuffer(30));
+            [[0, 0x04034b50, 4], [4, 20, 2], [6, 0x0800, 2], [8, 0, 2], [10, dosTime, 2], [12, dosDate, 2], [14, crc, 4], [18, data.length, 4], [22, data.length, 4], [26, name.length, 2], [28, 0, 2]]
+                .forEach(([at, value, size]) => size === 4 ? local.setUint32(at, value, true) : local.setUint16(at, value, true));
+            const central = new DataView(new ArrayBuffer(46));
+            [[0, 0x02014b50, 4], [4, 20, 2], [6, 20, 2], [8, 0x0800, 2], [10, 0, 2], [12, dosTime, 2], [14, dosDate, 2], [16, crc, 4], [20, data.length, 4], [24, data.length, 4], [28, name.length, 2], [30, 0, 2], [32, 0, 2], [34, 0, 2], [36, 0, 2], [38, 0, 4], [42, offset, 4]]
+                .forEach(([at, value, size]) => size === 4 ? central.setUint32(at, value, true) : central.setUint16(at, value, true));
+            localParts.push(new Uint8Array(local.buffer), name, data);
+            centralParts.push(new Uint8Array(central.buffer), name);
+            offset += 30 + name.length + data.length;
+        });
+
+        const centralSize = centralParts.reduce((sum, part) => sum + part.length, 0);
+        const end = new DataView(new ArrayBuffer(22));
+        [[0, 0x06054b50, 4], [4, 0, 2], [6, 0, 2], [8, files.length, 2], [10, files.length, 2], [12, centralSize, 4], [16, offset, 4], [20, 0, 2]]
+            .forEach(([at, value, size]) => size === 4 ? end.setUint32(at, value, true) : end.setUint16(at, value, true));
+
+        const parts = [...localParts, ...centralParts, new Uint8Array(end.buffer)];
+        const zip = new Uint8Array(parts.reduce((sum, part) => sum + part.length, 0));
+        parts.reduce((at, part) => { zip.set(part, at); return at + part.length; }, 0);
+        return zip;
+    };
+
+    // --- STUDENT REPORT (PRINTABLE HTML / PDF) ---
+
+    // A standalone document built from buildStudentDiagnostic(); the browser's print dialog turns it into a PDF.
+    const toStudentReportHTML = (report, { courseTitle = '' } = {}) => {
+        const e = escapeHTML;
+        const pct = (value) => `${truncateToDecimals(value, 1)}%`;
+        return `<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <title>Diagnostic Report – ${e(report.userName)}</title>
+    <style>
+        body { font-family: 'Poppins', Arial, sans-serif; color: #111827; margin: 2rem; }
+        h1 { font-size: 1.5rem; margin: 0; } h2 { font-size: 1.1rem; margin: 2rem 0 0.75rem; } h3 { font-size: 1rem; margin: 1.25rem 0 0.5rem; }
+        .meta { color: #6b7280; margin: 0.25rem 0 1.5rem; }
+        .stats { display: flex; gap: 2rem; } .stats div { font-size: 0.8rem; color: #6b7280; } .stats strong { display: block; font-size: 1.25rem; color: #111827; }
+        table { width: 100%; border-collapse: collapse; font-size: 0.85rem; } th, td { text-align: left; padding: 0.35rem 0.5rem; border-bottom: 1px solid #e5e7eb; }
+        .unit-row td { font-weight: 600; } .activity-row td:first-child { padding-left: 1.5rem; }
+        @media print { body { margin: 0; } details, tr { break-inside: avoid; } }
+    </style>
+</head>
+<body>
+    <h1>${e(report.userName)}</h1>
+    <p class="meta">${courseTitle ? `${e(courseTitle)} · ` : ''}Status: ${e(report.status)} · Generated ${e(new Date().toLocaleString())}</p>
+    <div class="stats">
+        <div><strong>${pct(report.avgAccuracy)}</strong>Avg. Accuracy</div>
+        <div><strong>${pct(report.avgCompletion)}</strong>Avg. Completion</div>
+        <div><strong>${e(report.totalAttempts)}</strong>Total Attempts</div>
+        <div><strong>${e(report.totalTimeSpent)}</strong>Total Time</div>
+    </div>
+    <h2>Learning Pattern</h2>
+    <p><strong>${e(report.learningPattern.type)}:</strong> ${e(report.learningPattern.description)}</p>
+    ${report.learningPattern.reason ? `<p class="meta">Rule: ${e(report.learningPattern.reason)}</p>` : ''}
+    ${report.flag ? `<p class="meta">${e(report.flag.reason)}</p>${report.flag.details ? `<ul>${report.flag.details.map(d => `<li>${e(d)}</li>`).join('')}</ul>` : ''}` : ''}
+    <h2>Struggling Concepts</h2>
+    ${report.strugglingConcepts.length > 0 ? `<table><thead><tr><th>Concept</th><th>Category</th><th>Parent Component</th><th>Accuracy</th></tr></thead><tbody>
+        ${report.strugglingConcepts.map(c => `<tr><td>${e(c.name)}</td><td>${e(c.category)}</td><td>${e(c.componentName)}</td><td>${pct(c.accuracy)}</td></tr>`).join('')}
+    </tbody></table>` : '<p>No specific concept struggles found.</p>'}
+    <h2>Unit Breakdown vs. Cohort</h2>
+    ${report.chapters.map(chapter => `
+    <h3>Chapter ${e(chapter.chapterNo)}: ${e(chapter.chapterName)}</h3>
+    <table>
+        <thead><tr><th>Unit / Activity</th><th>Accuracy</th><th>Cohort Avg.</th><th>Δ</th><th>Completion</th><th>Cohort Completion</th><th>Attempts</th></tr></thead>
+        <tbody>${chapter.units.map(unit => `
+            <tr class="unit-row"><td>Unit ${e(unit.unitNo)}: ${e(unit.unitName)}</td><td>${pct(unit.accuracy)}</td><td>${pct(unit.cohortAccuracy)}</td><td>${truncateToDecimals(unit.accuracyDelta, 1)}</td><td>${pct(unit.completion)}</td><td>${pct(unit.cohortCompletion)}</td><td>${e(unit.totalAttempts)}</td></tr>
+            ${unit.activities.map(act => `<tr class="activity-row"><td>${e(act.activityName)}</td><td>${pct(act.accuracy)}</td><td></td><td></td><td></td><td></td><td>${e(act.totalAttempts)}</td></tr>`).join('')}`).join('')}
+        </tbody>
+    </table>`).join('')}
+</body>
+</html>`;
+    };
+
+    return { EXPORT_COLUMNS, toTable, toCSV, toXLSX, toStudentReportHTML, createZip };
+});
@@ -0,0 +1,102 @@
+// Intervention records for flagged students (notes, assigned remediation, open/resolved) and the storage adapters that keep them.
+// Pick the storage at mount time:
+//   CourseAnalytics.mount(el, { source, storage: 'api/interventions' })           REST: GET the list, PUT <url>/<userId>
+//   CourseAnalytics.mount(el, { source, storage: { key: 'cs101.interventions' } }) localStorage under another key
+//   CourseAnalytics.mount(el, { source, storage: { load, save } })                 any object with promise-returning load/save
+(function(root, factory) {
+    if (typeof module === 'object' && module.exports) module.exports = factory();
+    else root.AnalyticsInterventions = factory();
+})(typeof self !== 'undefined' ? self : this, function() {
+    const DEFAULT_STORAGE_KEY = 'course-analytics.interventions';
+
+    // --- RECORDS ---
+    // One record per learner. Changes return a new record, so a failed save leaves the previous one intact.
+    //   { userId, userName, status: 'open' | 'resolved', notes: [{ text, at }], remediations: [{ concepts: [{ elementId, name }], activity, at }],
+    //     createdAt, updatedAt, resolvedAt }
+
+    const now = () => new Date().toISOString();
+
+    const createIntervention = ({ userId, userName }, at = now()) => ({ userId: String(userId), userName, status: 'open', notes: [], remediations: [], createdAt: at, updatedAt: at, resolvedAt: null });
+
+    const addNote = (record, text, at = now()) => ({ ...record, notes: [...record.notes, { text, at }], updatedAt: at });
+
+    const assignRemediation = (record, { concepts, activity }, at = now()) => ({
+        ...record, status: 'open', resolvedAt: null, updatedAt: at,
+        remediations: [...record.remediations, { concepts: concepts.map(({ elementId, name }) => ({ elementId, name })), activity, at }],
+    });
+
+    const resolveIntervention = (record, at = now()) => ({ ...record, status: 'resolved', resolvedAt: at, updatedAt: at });
+
+    const reopenIntervention = (record, at = now()) => ({ ...record, status: 'open', resolvedAt: null, updatedAt: at });
+
+    // --- STORAGE ADAPTERS ---
+    // Every adapter has the same two methods: load() resolves with all records, save(record) resolves once the record is stored.
+
+    const createMemoryAdapter = (records = []) => {
+        const byUser = new Map(records.map(record => [record.userId, record]));
+        return {
+            load: () => Promise.resolve(Array.from(byUser.values())),
+            save: (record) => { byUser.set(record.userId, record); return Promise.resolve(record); },
+        };
+    };
+
+    // Merely reading window.localStorage throws where storage is blocked (sandboxed frames, some privacy settings).
+    const browserStorage = () => {
+        try {
+            return typeof localStorage !== 'undefined' ? localStorage : null;
+        } catch (error) {
+            return null;
+        }
+    };
+
+    // Records are kept as one JSON object keyed by userId.
+    const createLocalStorageAdapter = ({ key = DEFAULT_STORAGE_KEY, storage = browserStorage() } = {}) => {
+        const read = () => JSON.parse(storage.getItem(key) || '{}');
+        return {
+            load: () => Promise.resolve().then(() => Object.values(read())),
+            save: (record) => Promise.resolve().then(() => {
+                storage.setItem(key, JSON.stringify({ ...read(), [record.userId]: record }));
+                return record;
+            }),
+        };
+    };
+
+    // The LMS serves every record as a JSON array from the url and accepts each changed record as a PUT to <url>/<userId>.
+    const createRestAdapter = ({ url, fetchOptions = {} }) => {
+        const request = (target, init, failure) => fetch(target, { ...fetchOptions, ...init, headers: { 'Content-Type': 'application/json', ...fetchOptions.headers } })
+            .then(response => {
+                if (!response.ok) throw new Error(`${failure} (HTTP ${response.status}).`);
+                return response.status === 204 ? null : response.json();
+            });
+        return {
+            load: () => request(url, { method: 'GET' }, 'Could not load interventions').then(records => records || []),
+            save: (record) => request(`${url.replace(/\/$/, '')}/${encodeURIComponent(record.userId)}`, { method: 'PUT', body: JSON.stringify(record) }, 'Could not save intervention').then(() => record),
+        };
+    };
+
+    // Without working localStorage (Node, private browsing, a full quota) records last for the session only.
+    const isStorageAvailable = (storage) => {
+        try {
+            storage.setItem(`${DEFAULT_STORAGE_KEY}.probe`, '1');
+            storage.removeItem(`${DEFAULT_STORAGE_KEY}.probe`);
+            return true;
+        } catch (error) {
+            return false;
+        }
+    };
+
+    // storage: an adapter, a REST url (string or { url, fetchOptions }), { key } for localStorage, false for memory only, or nothing for the default.
+    const resolveStorage = (storage) => {
+        if (storage && typeof storage.load === 'function' && typeof storage.save === 'function') return storage;
+        if (storage === false) return createMemoryAdapter();
+        if (typeof storage === 'string') return createRestAdapter({ url: storage });
+        if (storage && storage.url) return createRestAdapter(storage);
+        const local = browserStorage();
+        return local && isStorageAvailable(local) ? createLocalStorageAdapter({ key: storage && storage.key, storage: local }) : createMemoryAdapter();
+    };
+
+    return {
+        createIntervention, addNote, assignRemediation, resolveIntervention, reopenIntervention,
+        createMemoryAdapter, createLocalStorageAdapter, createRestAdapter, resolveStorage,
+    };
+});
@@ -0,0 +1,139 @@
+// Classification rules (thresholds and labels) for struggling learners, problematic units, difficulty and effectiveness.
+// Override any subset at mount time:
+//   CourseAnalytics.mount(el, { source, rules: { struggling: { accuracyBelow: 40 } } })   or   { rules: 'rules.json' }
+(function(root, factory) {
+    if (typeof module === 'object' && module.exports) module.exports = factory();
+    else root.AnalyticsRules = factory();
+})(typeof self !== 'undefined' ? self : this, function() {
+    // --- DEFAULT RULES ---
+
+    // Comparisons are strict: "accuracyBelow: 50" flags 49.9 but not 50.
+    const DEFAULT_RULES = {
+        struggling: { label: "Struggling", accuracyBelow: 50, requireAboveAverageTime: true },
+        excelling: { label: "Excelling", accuracyAbove: 90 },
+        onTrack: { label: "On-Track" },
+        problematicUnit: { label: "Problematic", accuracyBelow: 60, requireAboveAverageTime: true },
+        strugglingConcept: { label: "Struggling Concept", accuracyBelow: 60 },
+        difficulty: { highAbove: 800, mediumAbove: 400 },
+        effectiveness: {
+            needsReview: { label: "Needs Review", accuracyBelow: 70, attemptsAbove: 10 },
+            moderate: { label: "Moderate", accuracyBelow: 80 },
+            effective: { label: "Effective" },
+        },
+        learningPatterns: {
+            persistenceWithoutMastery: { label: "Persistence without Mastery", attemptsPerActivityAbove: 15, accuracyBelow: 70, description: "High attempts without accuracy gains suggests guessing or a core misconception." },
+            knowledgeGap: { label: "Knowledge Gap", accuracyBelow: 60, description: "Low accuracy suggests a potential gap in foundational knowledge." },
+            methodical: { label: "Methodical", description: "Student is progressing at a steady pace." },
+        },
+        // bucket: 'auto' picks day, week or month from the time span of the export.
+        trends: { bucket: 'auto', windowSize: 3 },
+        declining: { label: "Declining", accuracyDropAbove: 10 },
+        inactive: { label: "Inactive", idleDaysAbove: 14 },
+        snapshotChange: { improvedAbove: 2, worsenedAbove: 2 },
+        // Group comparisons: a difference is marked when the test's p-value is below significanceLevel and every group has enough learners.
+        groupComparison: { label: "Significant difference", significanceLevel: 0.05, minGroupSize: 5 },
+    };
+
+    const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+    const mergeDeep = (base, overrides) => {
+        if (!isPlainObject(overrides)) return base;
+        const merged = { ...base };
+        Object.entries(overrides).forEach(([key, value]) => { merged[key] = isPlainObject(value) && isPlainObject(base[key]) ? mergeDeep(base[key], value) : value; });
+        return merged;
+    };
+
+    const resolveRules = (overrides) => mergeDeep(DEFAULT_RULES, overrides);
+
+    // --- CLASSIFIERS ---
+    // Each returns the rule that fired ({ ruleId, label, reason }) so the UI can explain why something was flagged.
+
+    const pct = (value) => `${Math.round(value * 10) / 10}%`;
+    const minutes = (seconds) => `${Math.round(seconds / 60)} min`;
+
+    const classifyLearnerInUnit = (rules, { accuracy, timeSeconds, unitAverageTimeSeconds }) => {
+        const rule = rules.struggling;
+        if (!(accuracy < rule.accuracyBelow)) return null;
+        if (rule.requireAboveAverageTime && !(timeSeconds > unitAverageTimeSeconds)) return null;
+        const timeClause = rule.requireAboveAverageTime ? ` and time ${minutes(timeSeconds)} is above the unit average of ${minutes(unitAverageTimeSeconds)}` : '';
+        return { ruleId: 'struggling', label: rule.label, reason: `Accuracy ${pct(accuracy)} is below ${pct(rule.accuracyBelow)}${timeClause}.` };
+    };
+
+    const classifyUnit = (rules, { avgAccuracy, avgTimeSeconds, courseAverageTimeSeconds }) => {
+        const rule = rules.problematicUnit;
+        if (!(avgAccuracy < rule.accuracyBelow)) return null;
+        if (rule.requireAboveAverageTime && !(avgTimeSeconds > courseAverageTimeSeconds)) return null;
+        const timeClause = rule.requireAboveAverageTime ? ` and average time ${minutes(avgTimeSeconds)} is above the course average of ${minutes(courseAverageTimeSeconds)}` : '';
+        return { ruleId: 'problematicUnit', label: rule.label, reason: `Average accuracy ${pct(avgAccuracy)} is below ${pct(rule.accuracyBelow)}${timeClause}.` };
+    };
+
+    // Statuses keep a stable id for grouping and styling; the label is what teachers see and may be renamed.
+    const classifyStudentStatus = (rules, { avgAccuracy, strugglingFlags }) => {
+        if (strugglingFlags.length > 0) {
+            const reason = `${rules.struggling.label} rule fired in ${strugglingFlags.length} unit${strugglingFlags.length === 1 ? '' : 's'}.`;
+            return { statusId: 'struggling', status: rules.struggling.label, flag: { ruleId: 'struggling', label: rules.struggling.label, reason, details: strugglingFlags.map(f => `${f.unitName}: ${f.reason}`) } };
+        }
+        if (avgAccuracy > rules.excelling.accuracyAbove) return { statusId: 'excelling', status: rules.excelling.label, flag: { ruleId: 'excelling', label: rules.excelling.label, reason: `Average accuracy ${pct(avgAccuracy)} is above ${pct(rules.excelling.accuracyAbove)}.` } };
+        return { statusId: 'onTrack', status: rules.onTrack.label, flag: null };
+    };
+
+    const isStrugglingConcept = (rules, accuracy) => accuracy < rules.strugglingConcept.accuracyBelow;
+
+    const classifyDifficulty = (rules, difficulty) => {
+        const { highAbove, mediumAbove } = rules.difficulty;
+        if (difficulty > highAbove) return { band: 'high', reason: `Difficulty index ${Math.round(difficulty)} is above ${highAbove}.` };
+        if (difficulty > mediumAbove) return { band: 'medium', reason: `Difficulty index ${Math.round(difficulty)} is above ${mediumAbove}.` };
+        return { band: 'low', reason: `Difficulty index ${Math.round(difficulty)} is at or below ${mediumAbove}.` };
+    };
+
+    const classifyEffectiveness = (rules, { avgAccuracy, avgAttempts }) => {
+        const { needsReview, moderate, effective } = rules.effectiveness;
+        if (avgAccuracy < needsReview.accuracyBelow && avgAttempts > needsReview.attemptsAbove) return { text: needsReview.label, class: "danger", flag: { ruleId: 'needsReview', label: needsReview.label, reason: `Average accuracy ${pct(avgAccuracy)} is below ${pct(needsReview.accuracyBelow)} with ${Math.round(avgAttempts * 10) / 10} attempts on average (more than ${needsReview.attemptsAbove}).` } };
+        if (avgAccuracy < moderate.accuracyBelow) return { text: moderate.label, class: "warning", flag: { ruleId: 'moderate', label: moderate.label, reason: `Average accuracy ${pct(avgAccuracy)} is below ${pct(moderate.accuracyBelow)}.` } };
+        return { text: effective.label, class: "success", flag: null };
+    };
+
+    const classifyLearningPattern = (rules, { avgAccuracy, avgAttemptsPerActivity }) => {
+        const { persistenceWithoutMastery, knowledgeGap, methodical } = rules.learningPatterns;
+        if (avgAttemptsPerActivity > persistenceWithoutMastery.attemptsPerActivityAbove && avgAccuracy < persistenceWithoutMastery.accuracyBelow) {
+            return { type: persistenceWithoutMastery.label, description: persistenceWithoutMastery.description, icon: "repeat", class: "warning", reason: `${Math.round(avgAttemptsPerActivity * 10) / 10} attempts per activity (more than ${persistenceWithoutMastery.attemptsPerActivityAbove}) with accuracy ${pct(avgAccuracy)} below ${pct(persistenceWithoutMastery.accuracyBelow)}.` };
+        }
+        if (avgAccuracy < knowledgeGap.accuracyBelow) return { type: knowledgeGap.label, description: knowledgeGap.description, icon: "x-circle", class: "danger", reason: `Accuracy ${pct(avgAccuracy)} is below ${pct(knowledgeGap.accuracyBelow)}.` };
+        return { type: methodical.label, description: methodical.description, icon: "coffee", class: "success", reason: null };
+    };
+
+    // Compares the first and last known accuracy within the trailing window of periods.
+    const classifyDecline = (rules, accuracies) => {
+        const known = accuracies.filter(value => value !== null && value !== undefined).slice(-rules.trends.windowSize);
+        if (known.length < 2) return null;
+        const drop = known[0] - known[known.length - 1];
+        if (!(drop > rules.declining.accuracyDropAbove)) return null;
+        return { ruleId: 'declining', label: rules.declining.label, reason: `Accuracy fell from ${pct(known[0])} to ${pct(known[known.length - 1])} over the last ${known.length} periods (a drop of more than ${rules.declining.accuracyDropAbove} points).` };
+    };
+
+    const classifyInactivity = (rules, { idleDays, since }) => {
+        if (!(idleDays > rules.inactive.idleDaysAbove)) return null;
+        return { ruleId: 'inactive', label: rules.inactive.label, reason: `No activity for ${Math.floor(idleDays)} days${since ? ` (since ${since})` : ''}, more than ${rules.inactive.idleDaysAbove}.` };
+    };
+
+    const classifySnapshotChange = (rules, accuracyDelta) => {
+        if (accuracyDelta > rules.snapshotChange.improvedAbove) return 'improved';
+        if (-accuracyDelta > rules.snapshotChange.worsenedAbove) return 'worsened';
+        return 'unchanged';
+    };
+
+    const classifyGroupDifference = (rules, { test, smallestGroup }) => {
+        const { label, significanceLevel, minGroupSize } = rules.groupComparison;
+        // Tables of comparisons pass the Holm-adjusted p-value (adjustedP) and how many rows it was adjusted across.
+        const value = test ? test.adjustedP ?? test.p : null;
+        if (!test || smallestGroup < minGroupSize || !(value < significanceLevel)) return null;
+        const p = value < 0.001 ? 'p < 0.001' : `p = ${Math.round(value * 1000) / 1000}`;
+        const adjustment = test.comparisons > 1 ? ` after Holm's adjustment for ${test.comparisons} comparisons` : '';
+        return { ruleId: 'groupComparison', label, reason: `${test.name} gives ${p}${adjustment}, below the ${significanceLevel} significance level, with at least ${minGroupSize} learners in every group.` };
+    };
+
+    return {
+        DEFAULT_RULES, resolveRules,
+        classifyLearnerInUnit, classifyUnit, classifyStudentStatus, isStrugglingConcept, classifyDifficulty, classifyEffectiveness, classifyLearningPattern,
+        classifyDecline, classifyInactivity, classifySnapshotChange, classifyGroupDifference,
+    };
+});
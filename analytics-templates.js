@@ -0,0 +1,39 @@
+// Escape-by-default HTML templating for the analytics UI:
+//   render(pane, html`<div class="name">${student.userName}</div>`);
+// Every value interpolated into html`` is escaped, unless it is itself an html`` template or was explicitly trusted with raw().
+(function(root, factory) {
+    if (typeof module === 'object' && module.exports) module.exports = factory();
+    else root.AnalyticsTemplates = factory();
+})(typeof self !== 'undefined' ? self : this, function() {
+    const ENTITIES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' };
+    const escapeHTML = (value) => String(value ?? '').replace(/[&<>"']/g, ch => ENTITIES[ch]);
+
+    // --- TEMPLATES ---
+
+    // Markup that is already safe to insert: built by html`` or vouched for with raw().
+    class SafeHTML {
+        constructor(markup) { this.markup = markup; }
+        toString() { return this.markup; }
+    }
+
+    // For markup produced by code that escapes on its own (the SVG charts); never for data from an export.
+    const raw = (markup) => markup instanceof SafeHTML ? markup : new SafeHTML(String(markup ?? ''));
+
+    // Arrays are concatenated and null, undefined or false render nothing, so lists and conditionals need no .join('') or ''.
+    const interpolate = (value) => {
+        if (value === null || value === undefined || value === false) return '';
+        if (value instanceof SafeHTML) return value.markup;
+        if (Array.isArray(value)) return value.map(interpolate).join('');
+        return escapeHTML(value);
+    };
+
+    const html = (strings, ...values) => new SafeHTML(strings.reduce((markup, string, i) => markup + interpolate(values[i - 1]) + string));
+
+    // --- DOM ---
+
+    // The only ways templates reach the page; a plain string passed here is shown as text.
+    const render = (element, template) => { element.innerHTML = interpolate(template); };
+    const replace = (element, template) => { element.outerHTML = interpolate(template); };
+
+    return { html, raw, render, replace, escapeHTML, SafeHTML };
+});
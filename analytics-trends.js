@@ -0,0 +1,162 @@
+// Time-series and trend analysis, from attempt timestamps inside one export or from several export snapshots.
+(function(root, factory) {
+    if (typeof module === 'object' && module.exports) module.exports = factory(require('./hierarchy-builder.js'), require('./analytics-rules.js'));
+    else root.AnalyticsTrends = factory(root.LearningHierarchy, root.AnalyticsRules);
+})(typeof self !== 'undefined' ? self : this, function(LearningHierarchy, AnalyticsRules) {
+    const { calculateAverage } = LearningHierarchy;
+    const { DEFAULT_RULES, classifyDecline, classifyInactivity, classifySnapshotChange } = AnalyticsRules;
+    const DAY_MS = 24 * 60 * 60 * 1000;
+    const rulesOf = (data) => (data && data.rules) || DEFAULT_RULES;
+    const chaptersOf = (data) => (data && data.chapters) || [];
+
+    // --- PERIODS ---
+
+    const formatDate = (at) => new Date(at).toISOString().slice(0, 10);
+    const pickBucket = (bucket, spanMs) => bucket !== 'auto' ? bucket : spanMs <= 31 * DAY_MS ? 'day' : spanMs <= 26 * 7 * DAY_MS ? 'week' : 'month';
+
+    const bucketStart = (at, bucket) => {
+        const d = new Date(at);
+        if (bucket === 'month') return Date.UTC(d.getUTCFullYear(), d.getUTCMonth(), 1);
+        const day = Date.UTC(d.getUTCFullYear(), d.getUTCMonth(), d.getUTCDate());
+        return bucket === 'week' ? day - ((d.getUTCDay() + 6) % 7) * DAY_MS : day;
+    };
+
+    const nextBucket = (start, bucket) => {
+        if (bucket !== 'month') return start + (bucket === 'week' ? 7 : 1) * DAY_MS;
+        const d = new Date(start);
+        return Date.UTC(d.getUTCFullYear(), d.getUTCMonth() + 1, 1);
+    };
+
+    const bucketLabel = (start, bucket) => bucket === 'month' ? formatDate(start).slice(0, 7) : bucket === 'week' ? `Week of ${formatDate(start)}` : formatDate(start);
+
+    // --- SERIES ---
+    // Whatever the origin, a series is a list of points plus one value per point (null when unknown) for the course and every chapter, unit and student.
+    // A state is { track, accuracy, completion }, where the track names one learner in one unit and recurs from point to point.
+
+    const seriesFromStates = (source, points, statesPerPoint) => {
+        const levels = { chapters: new Map(), units: new Map(), students: new Map() };
+        const emptyValues = () => ({ accuracy: points.map(() => null), completion: points.map(() => null) });
+        const course = emptyValues();
+        const entryFor = (level, id, name, extra) => {
+            if (!levels[level].has(id)) levels[level].set(id, { id, name, ...extra, ...emptyValues() });
+            return levels[level].get(id);
+        };
+        const entriesByTrack = new Map();
+        const entriesOf = (track) => {
+            if (!entriesByTrack.has(track)) entriesByTrack.set(track, [course, entryFor('chapters', track.chapterId, track.chapterName), entryFor('units', track.unitId, track.unitName, { chapterName: track.chapterName }), entryFor('students', track.userId, track.userName)]);
+            return entriesByTrack.get(track);
+        };
+
+        // Running totals instead of grouped arrays; accuracy averages only learners who scored, completion averages everyone.
+        statesPerPoint.forEach((states, index) => {
+            const totals = new Map();
+            states.forEach(state => entriesOf(state.track).forEach(entry => {
+                if (!totals.has(entry)) totals.set(entry, { accuracySum: 0, scored: 0, completionSum: 0, count: 0 });
+                const total = totals.get(entry);
+                if (state.accuracy > 0) { total.accuracySum += state.accuracy; total.scored++; }
+                total.completionSum += state.completion;
+                total.count++;
+            }));
+            totals.forEach((total, entry) => {
+                entry.accuracy[index] = total.scored > 0 ? total.accuracySum / total.scored : null;
+                entry.completion[index] = total.completionSum / total.count;
+            });
+        });
+
+        return {
+            source, points, course,
+            chapters: Array.from(levels.chapters.values()),
+            units: Array.from(levels.units.values()),
+            students: Array.from(levels.students.values()),
+        };
+    };
+
+    // Each learner's state in a period is carried forward from their latest attempt before the period ends.
+    const buildTimelineSeries = (data, rules) => {
+        const tracks = chaptersOf(data).flatMap(ch => ch.units.flatMap(unit => unit.users.filter(user => user.timeline && user.timeline.length > 0).map(user => ({
+            chapterId: ch.chapterId, chapterName: ch.chapterName, unitId: unit.unitId, unitName: unit.unitName, userId: user.userId, userName: user.userName, timeline: user.timeline,
+        }))));
+        if (tracks.length === 0) return null;
+        // Reduced rather than spread: a large cohort has more tracks than a call can take arguments.
+        const first = tracks.reduce((min, t) => Math.min(min, t.timeline[0].at), Infinity);
+        const last = tracks.reduce((max, t) => Math.max(max, t.timeline[t.timeline.length - 1].at), -Infinity);
+        const bucket = pickBucket(rules.trends.bucket, last - first);
+
+        const points = [];
+        for (let start = bucketStart(first, bucket); start <= last; start = nextBucket(start, bucket)) points.push({ label: bucketLabel(start, bucket), at: start });
+        const cursors = tracks.map(() => -1);
+        const statesPerPoint = points.map(point => {
+            const end = nextBucket(point.at, bucket);
+            return tracks.map((track, i) => {
+                while (cursors[i] + 1 < track.timeline.length && track.timeline[cursors[i] + 1].at < end) cursors[i]++;
+                return cursors[i] < 0 ? null : { track, accuracy: track.timeline[cursors[i]].accuracy, completion: track.timeline[cursors[i]].completion };
+            }).filter(Boolean);
+        });
+
+        const series = seriesFromStates('timestamps', points, statesPerPoint);
+        const lastActivity = new Map();
+        tracks.forEach(track => lastActivity.set(track.userId, Math.max(lastActivity.get(track.userId) || 0, track.timeline[track.timeline.length - 1].at)));
+        series.bucket = bucket;
+        series.students.forEach(student => {
+            const lastAt = lastActivity.get(student.id);
+            student.idle = { idleDays: (last - lastAt) / DAY_MS, since: formatDate(lastAt) };
+        });
+        return series;
+    };
+
+    // Snapshots are { label, takenAt, hierarchy } in chronological order.
+    const buildSnapshotSeries = (snapshots) => {
+        const points = snapshots.map(snapshot => ({ label: snapshot.label, at: snapshot.takenAt ? new Date(snapshot.takenAt).getTime() : null }));
+        const statesPerPoint = snapshots.map(snapshot => chaptersOf(snapshot.hierarchy).flatMap(ch => ch.units.flatMap(unit => unit.users.map(user => ({
+            track: { chapterId: ch.chapterId, chapterName: ch.chapterName, unitId: unit.unitId, unitName: unit.unitName, userId: user.userId, userName: user.userName },
+            accuracy: user.accuracy, completion: user.completion,
+        })))));
+        const series = seriesFromStates('snapshots', points, statesPerPoint);
+
+        // A learner whose figures did not move between the last two dated snapshots has been idle for that long.
+        const [previous, latest] = points.slice(-2);
+        series.students.forEach(student => {
+            const n = points.length;
+            const unchanged = n >= 2 && student.completion[n - 1] !== null && student.accuracy[n - 1] === student.accuracy[n - 2] && student.completion[n - 1] === student.completion[n - 2];
+            student.idle = unchanged && previous.at && latest.at ? { idleDays: (latest.at - previous.at) / DAY_MS, since: previous.label } : {};
+        });
+        return series;
+    };
+
+    // --- TRENDS ---
+
+    const buildTrends = (data, snapshots = []) => {
+        const rules = rulesOf(data);
+        const series = data && data.hasTimeline ? buildTimelineSeries(data, rules) : snapshots.length >= 2 ? buildSnapshotSeries(snapshots) : null;
+        if (!series) return null;
+        series.learners = series.students.map(student => ({
+            userId: student.id, userName: student.name,
+            flags: [classifyDecline(rules, student.accuracy), classifyInactivity(rules, student.idle || {})].filter(Boolean),
+        })).filter(learner => learner.flags.length > 0);
+        return series;
+    };
+
+    const compareSnapshots = (before, after) => {
+        const rules = rulesOf(after.hierarchy);
+        const unitsOf = (hierarchy) => new Map(chaptersOf(hierarchy).flatMap(ch => ch.units.map(unit => [unit.unitId, { chapterName: ch.chapterName, unit }])));
+        const summarize = (entry) => entry ? { accuracy: entry.unit.avgAccuracy, completion: calculateAverage(entry.unit.users.map(u => u.completion)), learners: entry.unit.noOfLearners } : null;
+        const beforeUnits = unitsOf(before.hierarchy), afterUnits = unitsOf(after.hierarchy);
+
+        const units = Array.from(new Set([...beforeUnits.keys(), ...afterUnits.keys()])).map(unitId => {
+            const from = summarize(beforeUnits.get(unitId)), to = summarize(afterUnits.get(unitId));
+            const { chapterName, unit } = afterUnits.get(unitId) || beforeUnits.get(unitId);
+            const accuracyDelta = from && to ? to.accuracy - from.accuracy : null;
+            const completionDelta = from && to ? to.completion - from.completion : null;
+            const change = !from ? 'added' : !to ? 'removed' : classifySnapshotChange(rules, accuracyDelta);
+            return { unitId, unitNo: unit.unitNo, unitName: unit.unitName, chapterName, before: from, after: to, accuracyDelta, completionDelta, change };
+        }).sort((a, b) => (a.accuracyDelta ?? 0) - (b.accuracyDelta ?? 0));
+
+        return {
+            before: before.label, after: after.label, units,
+            improved: units.filter(u => u.change === 'improved').length,
+            worsened: units.filter(u => u.change === 'worsened').length,
+        };
+    };
+
+    return { buildTrends, buildTimelineSeries, buildSnapshotSeries, compareSnapshots };
+});
@@ -0,0 +1,297 @@
+// Learning-system hierarchy builder. Like every analytics module it is a browser global in the page and a require() in Node:
+//   const { buildLearningHierarchy } = require('./hierarchy-builder.js');
+//   const { hierarchy, report } = buildLearningHierarchy(flatRows);
+(function(root, factory) {
+    if (typeof module === 'object' && module.exports) module.exports = factory(require('./analytics-rules.js'));
+    else root.LearningHierarchy = factory(root.AnalyticsRules);
+})(typeof self !== 'undefined' ? self : this, function(AnalyticsRules) {
+    const { resolveRules, classifyLearnerInUnit, classifyUnit } = AnalyticsRules;
+
+    // --- INPUT SCHEMA ---
+
+    // `requiredWith` makes a field mandatory only when the named field is present (e.g. an activity row needs its SequenceBuilderID).
+    // 'string' fields are optional labels; numbers are accepted and the builder stores every label as text.
+    const FLAT_ROW_SCHEMA = {
+        ChapterId: { type: 'id', required: true },
+        ChapterNo: { type: 'number' },
+        ChapterName: { type: 'string' },
+        UnitId: { type: 'id', required: true },
+        UnitNo: { type: 'number' },
+        UnitName: { type: 'string' },
+        ActivityTypeId: { type: 'id' },
+        ActivityTypeName: { type: 'string' },
+        SequenceBuilderID: { type: 'id', requiredWith: 'ActivityTypeId' },
+        ActivityTypeAccuracyPercentage: { type: 'percentage' },
+        ActivityTotalAttempts: { type: 'number' },
+        ConceptId: { type: 'id' },
+        ConceptName: { type: 'string' },
+        ConceptCategory: { type: 'string', requiredWith: 'ConceptId' },
+        ConceptParentId: { type: 'id', requiredWith: 'ConceptId' },
+        ConceptParentName: { type: 'string' },
+        ConceptAccuracyPercentage: { type: 'percentage' },
+        // Every row is one learner's result; a row without a learner would be accepted yet add nothing.
+        UserId: { type: 'id', required: true },
+        UserFullName: { type: 'string' },
+        UnitCompletionPercentage: { type: 'percentage' },
+        UnitAccuracyPercentage: { type: 'percentage' },
+        UnitTimeSpent: { type: 'duration' },
+        // Optional: when present, each row is one attempt in time and the hierarchy keeps a per-learner timeline.
+        AttemptTimestamp: { type: 'timestamp' },
+    };
+
+    // The same id must always carry the same name; a mismatch usually means two exports were merged.
+    const NAMED_IDS = [['ChapterId', 'ChapterName'], ['UnitId', 'UnitName'], ['ConceptId', 'ConceptName']];
+
+    // --- VALIDATION ---
+
+    const isBlank = (v) => v === undefined || v === null || String(v).trim() === '';
+    const isNumeric = (v) => typeof v === 'number' ? Number.isFinite(v) : Number.isFinite(Number(String(v).trim().replace(/%$/, '')));
+    // Accepts ISO strings, epoch milliseconds or Date objects; returns epoch milliseconds or null.
+    const parseTimestamp = (v) => {
+        if (isBlank(v)) return null;
+        if (v instanceof Date) return Number.isNaN(v.getTime()) ? null : v.getTime();
+        if (typeof v === 'number' || /^\d+$/.test(String(v).trim())) return Number(v);
+        const at = Date.parse(v);
+        return Number.isNaN(at) ? null : at;
+    };
+    const isDuration = (v) => typeof v === 'object' ? ['hours', 'minutes', 'seconds'].every(k => isBlank(v[k]) || isNumeric(v[k])) : /^\d+:\d{1,2}:\d{1,2}$/.test(String(v).trim());
+
+    const validateRow = (row, index, schema) => {
+        const issues = [];
+        if (!row || typeof row !== 'object') return [{ kind: 'malformed', row: index, reason: 'Row is not an object' }];
+        Object.entries(schema).forEach(([field, rule]) => {
+            const value = row[field];
+            if (isBlank(value)) {
+                if (rule.required || (rule.requiredWith && !isBlank(row[rule.requiredWith]))) issues.push({ kind: 'missing-id', row: index, field, reason: `Missing ${field}` });
+                return;
+            }
+            if ((rule.type === 'number' || rule.type === 'percentage') && !isNumeric(value)) issues.push({ kind: 'non-numeric', row: index, field, value, reason: `${field} is not numeric` });
+            if (rule.type === 'duration' && !isDuration(value)) issues.push({ kind: 'non-numeric', row: index, field, value, reason: `${field} is not a valid duration` });
+            if (rule.type === 'timestamp' && parseTimestamp(value) === null) issues.push({ kind: 'invalid-timestamp', row: index, field, value, reason: `${field} is not a valid timestamp` });
+        });
+        return issues;
+    };
+
+    const findNameConflicts = (rows) => NAMED_IDS.flatMap(([idField, nameField]) => {
+        const namesById = new Map();
+        rows.forEach(row => {
+            if (isBlank(row[idField]) || isBlank(row[nameField])) return;
+            const id = String(row[idField]);
+            if (!namesById.has(id)) namesById.set(id, new Set());
+            namesById.get(id).add(row[nameField]);
+        });
+        return Array.from(namesById.entries()).filter(([, names]) => names.size > 1).map(([id, names]) => ({ field: idField, id, names: Array.from(names) }));
+    });
+
+    // Returns the rows that are safe to build from plus a report of everything that was rejected or suspicious.
+    const validateFlatData = (flatData, schema = FLAT_ROW_SCHEMA) => {
+        const rows = Array.isArray(flatData) ? flatData : [];
+        const report = { totalRows: rows.length, acceptedRows: 0, rejectedRows: [], missingIds: [], nonNumericValues: [], invalidTimestamps: [], nameConflicts: [], isValid: true };
+        const validRows = [];
+        rows.forEach((row, index) => {
+            const issues = validateRow(row, index, schema);
+            if (issues.length === 0) { validRows.push(row); return; }
+            report.rejectedRows.push({ row: index, reasons: issues.map(i => i.reason) });
+            issues.forEach(issue => {
+                if (issue.kind === 'missing-id') report.missingIds.push({ row: index, field: issue.field });
+                if (issue.kind === 'non-numeric') report.nonNumericValues.push({ row: index, field: issue.field, value: issue.value });
+                if (issue.kind === 'invalid-timestamp') report.invalidTimestamps.push({ row: index, field: issue.field, value: issue.value });
+            });
+        });
+        report.nameConflicts = findNameConflicts(validRows);
+        report.acceptedRows = validRows.length;
+        report.isValid = report.rejectedRows.length === 0 && report.nameConflicts.length === 0;
+        return { rows: validRows, report };
+    };
+
+    // --- HELPERS ---
+
+    const truncateToDecimals = (num, d = 2) => { const n = parseFloat(num); if (isNaN(n)) return 0; return parseFloat(n.toFixed(d)); };
+    const calculateAverage = (arr) => { if (!arr || arr.length === 0) return 0; const sum = arr.reduce((acc, val) => acc + val, 0); return sum / arr.length; };
+    const formatSecondsToDuration = (s) => { if (isNaN(s) || s < 0) return "00:00:00"; const h = Math.floor(s / 3600); const m = Math.floor((s % 3600) / 60); const sec = Math.floor(s % 60); return [h, m, sec].map(v => v.toString().padStart(2, '0')).join(':'); };
+    const parseTimeObjectToSeconds = (t) => { if (!t) return 0; if (typeof t === 'string') return parseDurationToSeconds(t); return (t.hours || 0) * 3600 + (t.minutes || 0) * 60 + (t.seconds || 0); };
+    const toText = (v) => isBlank(v) ? '' : String(v);
+    const parseDurationToSeconds = (d) => { if (!d || typeof d !== 'string') return 0; const p = d.split(':').map(Number); return p.length !== 3 ? 0 : p[0] * 3600 + p[1] * 60 + p[2]; };
+
+    // --- GROUPS ---
+
+    // A learner's group (section, cohort, teacher…) comes either from an extra export column, named by a string, or from a
+    // { userId: group } mapping supplied alongside the export. With a column, the first non-blank value for a learner wins.
+    const groupResolver = (groupBy) => {
+        if (!groupBy) return () => null;
+        if (typeof groupBy === 'string') return (row) => isBlank(row[groupBy]) ? null : String(row[groupBy]).trim();
+        return (row) => isBlank(groupBy[row.UserId]) ? null : String(groupBy[row.UserId]).trim();
+    };
+
+    // --- HIERARCHY BUILDER ---
+
+    // Builds the chapter → unit → user → activity hierarchy from rows that already passed validation, in a single pass.
+    // Every level is looked up through a Map, so the cost grows linearly with the number of rows.
+    const buildHierarchyFromRows = (flatData, rules, groupBy) => {
+        if (!flatData || flatData.length === 0) { return { message: "No data found for the specified criteria." }; }
+        const root = { chapters: [], rules };
+        const chaptersMap = new Map();
+        // Category, component and element lists are indexed by their parent object, which keeps the output free of lookup fields.
+        const childIndexes = new Map();
+        const childOf = (parent, list, key, create) => {
+            if (!childIndexes.has(parent)) childIndexes.set(parent, new Map());
+            const index = childIndexes.get(parent);
+            if (!index.has(key)) {
+                const child = create();
+                list.push(child);
+                index.set(key, child);
+            }
+            return index.get(key);
+        };
+        // With timestamps, the latest attempt wins for current values while every attempt is kept in the timeline.
+        const isLatest = (at, last) => at !== null && (last === null || at >= last);
+        const groupOf = groupResolver(groupBy);
+        const userGroups = new Map();
+        let unitTimeTotal = 0, unitTimeRows = 0;
+        for (const row of flatData) {
+            const at = parseTimestamp(row.AttemptTimestamp);
+            if (!chaptersMap.has(row.ChapterId)) { chaptersMap.set(row.ChapterId, { chapterId: String(row.ChapterId), chapterNo: row.ChapterNo, chapterName: toText(row.ChapterName), _unitsMap: new Map() }); }
+            const chapter = chaptersMap.get(row.ChapterId);
+            if (!chapter._unitsMap.has(row.UnitId)) { chapter._unitsMap.set(row.UnitId, { unitId: String(row.UnitId), unitNo: row.UnitNo, unitName: toText(row.UnitName), _activitiesMap: new Map(), _usersMap: new Map() }); }
+            const unit = chapter._unitsMap.get(row.UnitId);
+            if (row.ActivityTypeId && !unit._activitiesMap.has(row.SequenceBuilderID)) { unit._activitiesMap.set(row.SequenceBuilderID, { activityId: `${row.UnitId}-${row.ActivityTypeId}-${row.SequenceBuilderID}`, activityName: toText(row.ActivityTypeName) }); }
+            const activity = unit._activitiesMap.get(row.SequenceBuilderID);
+            if (!row.UserId) continue;
+            if (!userGroups.get(String(row.UserId))) userGroups.set(String(row.UserId), groupOf(row));
+            if (row.UnitTimeSpent) {
+                unitTimeTotal += parseTimeObjectToSeconds(row.UnitTimeSpent);
+                unitTimeRows++;
+            }
+            if (!unit._usersMap.has(row.UserId)) { unit._usersMap.set(row.UserId, { userId: String(row.UserId), userName: toText(row.UserFullName), completion: parseFloat(row.UnitCompletionPercentage) || 0, accuracy: parseFloat(row.UnitAccuracyPercentage) || 0, totalTimeSpentSeconds: parseTimeObjectToSeconds(row.UnitTimeSpent), lastActivityAt: null, _timeline: new Map(), _activityPerformanceMap: new Map() }); }
+            const user = unit._usersMap.get(row.UserId);
+            if (at !== null) {
+                const point = { at, accuracy: parseFloat(row.UnitAccuracyPercentage) || 0, completion: parseFloat(row.UnitCompletionPercentage) || 0 };
+                user._timeline.set(at, point);
+                if (isLatest(at, user.lastActivityAt)) Object.assign(user, { lastActivityAt: at, accuracy: point.accuracy, completion: point.completion, totalTimeSpentSeconds: parseTimeObjectToSeconds(row.UnitTimeSpent) });
+            }
+            if (!activity) continue;
+            if (!user._activityPerformanceMap.has(activity.activityId)) { user._activityPerformanceMap.set(activity.activityId, { activityId: activity.activityId, activityName: activity.activityName, accuracy: truncateToDecimals(row.ActivityTypeAccuracyPercentage, 2) || 0, totalAttempts: Number(row.ActivityTotalAttempts) || 0, lastAttemptAt: at, performanceByCategory: [] }); }
+            const activityPerformance = user._activityPerformanceMap.get(activity.activityId);
+            const isLatestAttempt = isLatest(at, activityPerformance.lastAttemptAt);
+            if (isLatestAttempt) Object.assign(activityPerformance, { lastAttemptAt: at, accuracy: truncateToDecimals(row.ActivityTypeAccuracyPercentage, 2) || 0, totalAttempts: Number(row.ActivityTotalAttempts) || 0 });
+            if (!row.ConceptId) continue;
+            const conceptAccuracy = truncateToDecimals(row.ConceptAccuracyPercentage, 2) || 0;
+            const category = childOf(activityPerformance, activityPerformance.performanceByCategory, toText(row.ConceptCategory), () => ({ category: toText(row.ConceptCategory), components: [] }));
+            const component = childOf(category, category.components, String(row.ConceptParentId), () => ({ componentId: String(row.ConceptParentId), componentName: toText(row.ConceptParentName), elements: [] }));
+            const element = childOf(component, component.elements, String(row.ConceptId), () => ({ elementId: String(row.ConceptId), elementName: toText(row.ConceptName), accuracy: conceptAccuracy }));
+            if (isLatestAttempt) element.accuracy = conceptAccuracy;
+        }
+        const courseAverageTimePerUnit = unitTimeRows > 0 ? unitTimeTotal / unitTimeRows : 0;
+        root.courseAverageTimePerUnit = courseAverageTimePerUnit;
+        root.chapters = Array.from(chaptersMap.values()).sort((a, b) => a.chapterNo - b.chapterNo).map(chapter => {
+            const units = Array.from(chapter._unitsMap.values()).sort((a, b) => a.unitNo - b.unitNo).map(unit => {
+                const avgUnitTimePerUser = unit._usersMap.size > 0 ? Array.from(unit._usersMap.values()).reduce((sum, u) => sum + u.totalTimeSpentSeconds, 0) / unit._usersMap.size : 0;
+                const users = Array.from(unit._usersMap.values()).map(user => {
+                    const flag = classifyLearnerInUnit(rules, { accuracy: user.accuracy, timeSeconds: user.totalTimeSpentSeconds, unitAverageTimeSeconds: avgUnitTimePerUser });
+                    return {
+                        userId: user.userId, userName: user.userName, group: userGroups.get(user.userId) || null, accuracy: user.accuracy, completion: user.completion,
+                        activities: Array.from(user._activityPerformanceMap.values()),
+                        isStruggling: Boolean(flag), flag,
+                        totalTimeSpent: formatSecondsToDuration(user.totalTimeSpentSeconds),
+                        totalTimeSpentSeconds: user.totalTimeSpentSeconds,
+                        lastActivityAt: user.lastActivityAt,
+                        timeline: Array.from(user._timeline.values()).sort((a, b) => a.at - b.at),
+                    };
+                });
+                return rollUpUnit(unit, users, courseAverageTimePerUnit, rules);
+            });
+            return rollUpChapter(chapter, units);
+        });
+        return rollUpCourse(root);
+    };
+
+    // --- ROLL-UPS ---
+    // Shared by the builder and by filtered views, so a filtered subset is summarised exactly like the full export.
+
+    const rollUpUnit = (unit, users, courseAverageTimePerUnit, rules) => {
+        const avgUnitTimePerUser = calculateAverage(users.map(u => u.totalTimeSpentSeconds));
+        const avgUnitAccuracy = calculateAverage(users.map(u => u.accuracy).filter(a => a > 0));
+        const flag = classifyUnit(rules, { avgAccuracy: avgUnitAccuracy, avgTimeSeconds: avgUnitTimePerUser, courseAverageTimeSeconds: courseAverageTimePerUnit });
+        return {
+            unitId: unit.unitId, unitNo: unit.unitNo, unitName: unit.unitName,
+            noOfLearners: users.length, avgAccuracy: truncateToDecimals(avgUnitAccuracy),
+            avgTimeSpent: formatSecondsToDuration(avgUnitTimePerUser),
+            isProblematic: Boolean(flag), flag,
+            users: users,
+        };
+    };
+
+    const rollUpChapter = (chapter, units) => ({
+        chapterId: chapter.chapterId, chapterNo: chapter.chapterNo, chapterName: chapter.chapterName, units: units,
+        avgAccuracy: calculateAverage(units.flatMap(u => u.users.map(user => user.accuracy))),
+        completion: calculateAverage(units.flatMap(u => u.users.map(user => user.completion))),
+    });
+
+    const rollUpCourse = (root) => {
+        const users = root.chapters.flatMap(c => c.units.flatMap(u => u.users));
+        root.noOfLearners = new Set(users.map(user => user.userId)).size;
+        root.avgAccuracy = truncateToDecimals(calculateAverage(root.chapters.flatMap(c => c.units.map(u => u.avgAccuracy)).filter(a => a > 0)));
+        root.completion = truncateToDecimals(calculateAverage(users.map(user => user.completion)));
+        root.totalTimeSpent = formatSecondsToDuration(users.reduce((sum, user) => sum + user.totalTimeSpentSeconds, 0));
+        root.hasTimeline = users.some(user => user.timeline && user.timeline.length > 0);
+        const groups = new Map();
+        users.filter(user => user.group).forEach(user => {
+            if (!groups.has(user.group)) groups.set(user.group, new Set());
+            groups.get(user.group).add(user.userId);
+        });
+        root.groups = Array.from(groups.entries()).map(([name, learners]) => ({ name, learners: learners.size })).sort((a, b) => a.name.localeCompare(b.name, undefined, { numeric: true }));
+        return root;
+    };
+
+    // --- FILTERING ---
+
+    // Returns a re-aggregated copy of the hierarchy narrowed by scope, activity type, concept category, learner group, name and accuracy/completion ranges.
+    // An activity type or concept category recalculates each learner's accuracy (and flag) from what is kept, and the copy is marked
+    // activitiesNarrowed; completion and time only exist per unit in the export, so they stay unit-wide.
+    const filterHierarchy = (data, filters = {}) => {
+        const search = (filters.studentSearch || '').trim().toLowerCase();
+        const inRange = (value, min, max) => (isBlank(min) || value >= Number(min)) && (isBlank(max) || value <= Number(max));
+        const narrowsActivities = Boolean(filters.activityType || filters.conceptCategory);
+        const filterActivities = (activities) => activities
+            .filter(act => !filters.activityType || act.activityName === filters.activityType)
+            .map(act => filters.conceptCategory ? { ...act, performanceByCategory: act.performanceByCategory.filter(cat => cat.category === filters.conceptCategory) } : act)
+            .filter(act => !filters.conceptCategory || act.performanceByCategory.length > 0);
+        const narrowedAccuracy = (activities) => truncateToDecimals(calculateAverage(filters.conceptCategory
+            ? activities.flatMap(act => act.performanceByCategory.flatMap(cat => cat.components.flatMap(comp => comp.elements.map(el => el.accuracy))))
+            : activities.map(act => act.accuracy)));
+        const narrowUser = (user, unitAverageTimeSeconds) => {
+            const activities = filterActivities(user.activities);
+            const accuracy = narrowedAccuracy(activities);
+            const flag = classifyLearnerInUnit(data.rules, { accuracy, timeSeconds: user.totalTimeSpentSeconds, unitAverageTimeSeconds });
+            return { ...user, activities, accuracy, isStruggling: Boolean(flag), flag };
+        };
+
+        const chapters = data.chapters.filter(ch => !filters.chapterId || ch.chapterId === filters.chapterId).map(ch => {
+            const units = ch.units.filter(unit => !filters.unitId || unit.unitId === filters.unitId).map(unit => {
+                // Learners are flagged against the whole unit's average time, as in the builder.
+                const unitAverageTimeSeconds = calculateAverage(unit.users.map(user => user.totalTimeSpentSeconds));
+                const users = unit.users
+                    .filter(user => (!filters.group || user.group === filters.group) && (!search || String(user.userName || '').toLowerCase().includes(search)) && inRange(user.completion, filters.completionMin, filters.completionMax))
+                    .map(user => narrowsActivities ? narrowUser(user, unitAverageTimeSeconds) : user)
+                    .filter(user => (!narrowsActivities || user.activities.length > 0) && inRange(user.accuracy, filters.accuracyMin, filters.accuracyMax));
+                return rollUpUnit(unit, users, data.courseAverageTimePerUnit, data.rules);
+            }).filter(unit => unit.users.length > 0);
+            return rollUpChapter(ch, units);
+        }).filter(ch => ch.units.length > 0);
+
+        if (chapters.length === 0) return { message: "No learners match the current filters." };
+        return rollUpCourse({ chapters, rules: data.rules, courseAverageTimePerUnit: data.courseAverageTimePerUnit, activitiesNarrowed: narrowsActivities });
+    };
+
+    const buildLearningHierarchy = (flatData, options = {}) => {
+        const { rows, report } = validateFlatData(flatData, options.schema);
+        return { hierarchy: buildHierarchyFromRows(rows, resolveRules(options.rules), options.groupBy), report };
+    };
+
+    const getLearningSystemHierarchy = (flatData, options) => buildLearningHierarchy(flatData, options).hierarchy;
+
+    return {
+        FLAT_ROW_SCHEMA, validateFlatData, buildLearningHierarchy, getLearningSystemHierarchy, filterHierarchy,
+        truncateToDecimals, calculateAverage, formatSecondsToDuration, parseTimeObjectToSeconds, parseDurationToSeconds, parseTimestamp,
+    };
+});
@@ -0,0 +1,17 @@
+// Builds the learning hierarchy off the main thread: fetching, JSON parsing, validation and aggregation all happen here,
+// so a large export never blocks rendering or input. Started by analytics-component.js; scripts resolve relative to this file.
+//   in:  { url, rules, groupBy }  or  { text, rules, groupBy } with the JSON the page fetched itself (custom fetchOptions)
+//   out: { hierarchy, report }  or  { error }
+importScripts('analytics-rules.js', 'hierarchy-builder.js');
+
+self.onmessage = (event) => {
+    const { url, text, rules, groupBy } = event.data;
+    const load = url
+        ? fetch(url).then(response => {
+            if (!response.ok) throw new Error(`HTTP error! Status: ${response.status}`);
+            return response.json();
+        })
+        : Promise.resolve().then(() => JSON.parse(text));
+    load.then(flatData => self.postMessage(self.LearningHierarchy.buildLearningHierarchy(flatData, { rules, groupBy })))
+        .catch(error => self.postMessage({ error: error.message }));
+};
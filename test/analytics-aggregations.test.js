@@ -0,0 +1,50 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { buildLearningHierarchy } = require('../hierarchy-builder.js');
+const { summarizeStudents, buildStudentDiagnostic, analyzeConcepts, buildConceptTree, buildConceptUnitMatrix } = require('../analytics-aggregations.js');
+const { row, courseRows, rowWithoutConceptName } = require('./fixtures.js');
+
+const withNamelessConcept = () => buildLearningHierarchy([...courseRows(), rowWithoutConceptName()]).hierarchy;
+
+test('summarizeStudents averages each learner across units', () => {
+    const students = summarizeStudents(buildLearningHierarchy(courseRows()).hierarchy);
+    assert.deepEqual(students.map(student => [student.userId, student.statusId, student.avgAccuracy, student.unitCount]), [['1', 'onTrack', 65, 2], ['2', 'onTrack', 50, 1], ['3', 'onTrack', 80, 1]]);
+});
+
+test('concept views sort a concept without a name or with a numeric category as text', () => {
+    const hierarchy = withNamelessConcept();
+    assert.deepEqual(buildConceptUnitMatrix(hierarchy).concepts.map(concept => [concept.name, concept.category]), [['', '3'], ['Verb to be', 'Grammar'], ['Numbers', 'Vocabulary']]);
+    assert.deepEqual(buildConceptTree(hierarchy).map(node => node.category), ['3', 'Grammar', 'Vocabulary']);
+    assert.equal(analyzeConcepts(hierarchy).length, 3);
+});
+
+test('numeric concept names sort in numeric order', () => {
+    const rows = [row({ ConceptId: 1, ConceptName: 10 }), row({ ConceptId: 2, ConceptName: '9' })];
+    assert.deepEqual(buildConceptUnitMatrix(buildLearningHierarchy(rows).hierarchy).concepts.map(concept => concept.name), ['9', '10']);
+});
+
+test('buildStudentDiagnostic compares each category against the cohort', () => {
+    const report = buildStudentDiagnostic(withNamelessConcept(), '2');
+    assert.deepEqual(report.categories.map(category => [category.category, category.accuracy, Math.round(category.cohortAccuracy)]), [['3', 60, 60], ['Grammar', 10, 43], ['Vocabulary', 90, 63]]);
+    assert.deepEqual(report.categories[0].weakestConcept, { elementId: '502', name: '', accuracy: 60 });
+    assert.equal(buildStudentDiagnostic(withNamelessConcept(), '99'), null);
+});
+
+test('analyzeConcepts counts attempts, learners and unit activities per concept', () => {
+    // Concept 500: three Quiz occurrences of 2 attempts from Ada and Grace, in the Quiz of units 10 and 11.
+    // Concept 501: three Video occurrences of 2 attempts from Ada, Grace and Alan, all in unit 10.
+    const concepts = analyzeConcepts(buildLearningHierarchy(courseRows()).hierarchy);
+    assert.deepEqual(concepts.map(concept => [concept.elementId, concept.totalAttempts, concept.avgAttempts, concept.maxAttempts, concept.learnerCount, concept.activityCount]), [['500', 6, 2, 2, 2, 2], ['501', 6, 2, 2, 3, 1]]);
+    assert.equal(Math.round(concepts[0].avgAccuracy * 100) / 100, 43.33);
+    assert.equal(Math.round(concepts[0].difficulty * 100) / 100, 113.33);
+});
+
+test('buildConceptTree rolls concept statistics up to components and categories', () => {
+    const pastTense = row({ UserId: 3, UserFullName: 'Alan', ConceptId: 503, ConceptName: 'Past tense', ConceptParentId: 53, ConceptParentName: 'Tenses', ConceptAccuracyPercentage: '30', ActivityTotalAttempts: 5 });
+    const [grammar, vocabulary] = buildConceptTree(buildLearningHierarchy([...courseRows(), pastTense]).hierarchy);
+    const figures = node => [node.avgAccuracy, node.totalAttempts, node.avgAttempts, node.maxAttempts, node.learnerCount, node.activityCount];
+    // Grammar: 500 (60, 10, 60 at 2 attempts) plus 503 (30 at 5 attempts); Alan's Quiz in unit 10 is an activity already counted.
+    assert.deepEqual(figures(grammar), [40, 11, 2.75, 5, 3, 2]);
+    assert.deepEqual(grammar.components.map(component => [component.componentName, ...figures(component)]), [['Tenses', 30, 5, 5, 5, 1, 1], ['Verbs', 130 / 3, 6, 2, 2, 2, 2]]);
+    assert.deepEqual(figures(vocabulary), [190 / 3, 6, 2, 2, 3, 1]);
+});
@@ -0,0 +1,128 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { buildLearningHierarchy } = require('../hierarchy-builder.js');
+const { DEFAULT_RULES } = require('../analytics-rules.js');
+const { compareGroups, compareSamples, holmAdjust, welchTTest, oneWayAnova, incompleteBeta } = require('../analytics-compare.js');
+const { row } = require('./fixtures.js');
+
+const close = (actual, expected, digits = 6) => assert.ok(Math.abs(actual - expected) < 10 ** -digits, `${actual} is not close to ${expected}`);
+
+// --- DISTRIBUTIONS AND TESTS ---
+
+test('incompleteBeta matches closed forms', () => {
+    close(incompleteBeta(1, 1, 0.3), 0.3);
+    close(incompleteBeta(2, 2, 0.5), 0.5);
+    close(incompleteBeta(2, 3, 0.4), 0.5248);
+    assert.equal(incompleteBeta(2, 3, 0), 0);
+    assert.equal(incompleteBeta(2, 3, 1), 1);
+});
+
+test("welchTTest matches the textbook two-sided p-value", () => {
+    const result = welchTTest([1, 2, 3, 4, 5], [3, 4, 5, 6, 7]);
+    assert.equal(result.statistic, -2);
+    assert.equal(result.df, 8);
+    close(result.p, 0.0805162);
+});
+
+test('welchTTest uses the Welch–Satterthwaite degrees of freedom for unequal variances', () => {
+    const result = welchTTest([1, 2, 3, 4, 5], [10, 12, 14, 16, 18, 20]);
+    close(result.statistic, -7.129062, 5);
+    close(result.df, 6.972256, 5);
+    assert.ok(result.p < 0.001);
+});
+
+test('welchTTest handles groups without variance and groups too small to test', () => {
+    assert.equal(welchTTest([5, 5], [5, 5]).p, 1);
+    assert.equal(welchTTest([5, 5], [6, 6]).p, 0);
+    assert.equal(welchTTest([5], [6, 7]), null);
+});
+
+test('oneWayAnova matches the closed form for two numerator degrees of freedom', () => {
+    // With df1 = 2 the F tail is (1 + 2F / df2) ^ (-df2 / 2).
+    const result = oneWayAnova([[1, 2, 3], [4, 5, 6], [7, 8, 9]]);
+    assert.equal(result.statistic, 27);
+    assert.deepEqual(result.df, [2, 6]);
+    close(result.p, 0.001);
+    close(oneWayAnova([[1, 2, 3, 4], [2, 3, 4, 5], [1, 3, 5, 7]]).p, (1 + 1.4 / 9) ** -4.5);
+    assert.equal(oneWayAnova([[1, 2], [3]]), null);
+});
+
+// --- MULTIPLE COMPARISONS ---
+
+test("holmAdjust applies Holm's step-down adjustment and keeps the order monotone", () => {
+    const adjusted = holmAdjust([0.01, 0.04, 0.03, 0.005]);
+    [0.03, 0.06, 0.06, 0.02].forEach((expected, i) => close(adjusted[i], expected));
+    assert.deepEqual(holmAdjust([0.25, 0.4]), [0.5, 0.5]);
+    assert.deepEqual(holmAdjust([0.6, 0.9]), [1, 1]);
+    assert.deepEqual(holmAdjust([]), []);
+});
+
+test('compareSamples leaves groups without values out of the test', () => {
+    const result = compareSamples(DEFAULT_RULES, [
+        { name: 'A', values: [1, 2, 3, 4, 5], learners: 5 },
+        { name: 'B', values: [3, 4, 5, 6, 7], learners: 5 },
+        { name: 'C', values: [], learners: 0 },
+    ]);
+    assert.deepEqual(result.byGroup.map(group => [group.name, group.mean]), [['A', 3], ['B', 5], ['C', null]]);
+    assert.equal(result.spread, 2);
+    assert.equal(result.test.name, "Welch's t-test");
+    assert.equal(result.smallestGroup, 5);
+    assert.equal(result.flag, null);
+});
+
+// --- GROUPS ---
+
+// Six learners per section. In unit 10 section A scores about 80 and section B about 40; in unit 11 they score alike.
+const sectionRows = () => Array.from({ length: 12 }, (_, i) => i + 1).flatMap(p => {
+    const section = p <= 6 ? 'A' : 'B', base = section === 'A' ? 80 : 40;
+    const learner = { UserId: p, UserFullName: `Learner ${p}`, Section: section };
+    return [
+        row({ ...learner, UnitAccuracyPercentage: String(base + p % 3), ConceptAccuracyPercentage: String(base + p % 4), ActivityTypeAccuracyPercentage: String(base - p % 3) }),
+        row({ ...learner, UnitId: 11, UnitNo: 2, UnitName: 'Goodbye', SequenceBuilderID: 110, UnitAccuracyPercentage: String(60 + p % 5), ConceptAccuracyPercentage: String(60 + p % 5) }),
+    ];
+});
+
+test('compareGroups flags the unit where the sections differ, with p-values adjusted per table', () => {
+    const { hierarchy } = buildLearningHierarchy(sectionRows(), { groupBy: 'Section' });
+    const comparison = compareGroups(hierarchy);
+    assert.deepEqual(comparison.groups.map(group => [group.name, group.learners]), [['A', 6], ['B', 6]]);
+    const [hello, goodbye] = comparison.units;
+    assert.equal(hello.accuracy.flag.ruleId, 'groupComparison');
+    assert.match(hello.accuracy.flag.reason, /after Holm's adjustment for 2 comparisons/);
+    close(hello.accuracy.test.adjustedP, hello.accuracy.test.p * 2, 12);
+    assert.equal(goodbye.accuracy.flag, null);
+    assert.equal(hello.completion.test.comparisons, 2);
+    assert.deepEqual(comparison.concepts.map(concept => concept.elementId), ['500']);
+    assert.deepEqual(comparison.activities.map(activity => [activity.name, Boolean(activity.accuracy.flag)]), [['Quiz', true]]);
+});
+
+test('compareGroups caches per hierarchy and needs two groups with learners', () => {
+    const { hierarchy } = buildLearningHierarchy(sectionRows(), { groupBy: 'Section' });
+    assert.equal(compareGroups(hierarchy), compareGroups(hierarchy, ['A', 'B']));
+    const single = compareGroups(hierarchy, ['A', 'Z']);
+    assert.deepEqual(single.groups.map(group => group.name), ['A']);
+    assert.deepEqual([single.units, single.concepts, single.activities], [[], [], []]);
+});
+
+test('compareGroups does not flag differences between groups smaller than minGroupSize', () => {
+    const { hierarchy } = buildLearningHierarchy(sectionRows(), { groupBy: 'Section', rules: { groupComparison: { minGroupSize: 7 } } });
+    assert.ok(compareGroups(hierarchy).units.every(unit => unit.accuracy.flag === null));
+});
+
+test('compareGroups tests concepts and activity types on one value per learner', () => {
+    // Five learners per section, each scoring the same in twenty units: repeating a learner must not shrink the p-value.
+    const rows = Array.from({ length: 10 }, (_, i) => i + 1).flatMap(p => {
+        const section = p <= 5 ? 'A' : 'B', accuracy = String(section === 'A' ? 40 + p * 10 : p * 10 - 15);
+        return Array.from({ length: 20 }, (_, u) => row({
+            UserId: p, UserFullName: `Learner ${p}`, Section: section, UnitId: 10 + u, UnitNo: u + 1, UnitName: `Unit ${u + 1}`, SequenceBuilderID: 100 + u,
+            UnitAccuracyPercentage: accuracy, ConceptAccuracyPercentage: accuracy, ActivityTypeAccuracyPercentage: accuracy,
+        }));
+    });
+    const comparison = compareGroups(buildLearningHierarchy(rows, { groupBy: 'Section' }).hierarchy);
+    const perLearner = welchTTest([50, 60, 70, 80, 90], [45, 55, 65, 75, 85]);
+    [comparison.units[0].accuracy, comparison.concepts[0].accuracy, comparison.activities[0].accuracy].forEach(result => {
+        assert.deepEqual(result.byGroup.map(group => group.n), [5, 5]);
+        close(result.test.p, perLearner.p);
+        assert.equal(result.flag, null);
+    });
+});
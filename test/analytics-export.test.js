@@ -0,0 +1,96 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { buildLearningHierarchy } = require('../hierarchy-builder.js');
+const { summarizeStudents, buildStudentDiagnostic } = require('../analytics-aggregations.js');
+const { toTable, toCSV, toXLSX, toStudentReportHTML, createZip } = require('../analytics-export.js');
+const { escapeHTML } = require('../analytics-templates.js');
+const { row, courseRows } = require('./fixtures.js');
+
+// Reads a stored (uncompressed) ZIP back through its central directory, checking every CRC with a plain bitwise CRC-32.
+const crc32 = (bytes) => {
+    let crc = 0xFFFFFFFF;
+    for (const byte of bytes) {
+        crc ^= byte;
+        for (let k = 0; k < 8; k++) crc = crc & 1 ? (crc >>> 1) ^ 0xEDB88320 : crc >>> 1;
+    }
+    return (crc ^ 0xFFFFFFFF) >>> 0;
+};
+const readZip = (zip) => {
+    const view = new DataView(zip.buffer, zip.byteOffset, zip.byteLength);
+    const end = zip.length - 22;
+    assert.equal(view.getUint32(end, true), 0x06054b50);
+    const count = view.getUint16(end + 10, true);
+    const files = {};
+    for (let i = 0, at = view.getUint32(end + 16, true); i < count; i++) {
+        assert.equal(view.getUint32(at, true), 0x02014b50);
+        const crc = view.getUint32(at + 16, true), size = view.getUint32(at + 20, true), nameLength = view.getUint16(at + 28, true), offset = view.getUint32(at + 42, true);
+        const name = new TextDecoder().decode(zip.subarray(at + 46, at + 46 + nameLength));
+        assert.equal(view.getUint32(offset, true), 0x04034b50);
+        const start = offset + 30 + view.getUint16(offset + 26, true);
+        const data = zip.subarray(start, start + size);
+        assert.equal(crc32(data), crc, `CRC of ${name}`);
+        files[name] = new TextDecoder().decode(data);
+        at += 46 + nameLength;
+    }
+    return files;
+};
+
+// --- TABLES ---
+
+test('toTable picks and labels the columns of a view', () => {
+    const { hierarchy } = buildLearningHierarchy(courseRows());
+    const table = toTable('students', summarizeStudents(hierarchy));
+    assert.deepEqual(table.columns, ['User ID', 'Name', 'Status', 'Avg. Accuracy', 'Avg. Completion', 'Total Time', 'Units', 'Rule']);
+    assert.equal(table.rows.length, 3);
+    assert.throws(() => toTable('nowhere', []), /No export defined for view "nowhere"/);
+});
+
+// --- CSV ---
+
+test('toCSV quotes commas, quotes and line breaks', () => {
+    const csv = toCSV({ columns: ['Name', 'Note'], rows: [['Smith, Jo', 'said "hi"'], ['Line\nbreak', null]] });
+    assert.equal(csv, 'Name,Note\r\n"Smith, Jo","said ""hi"""\r\n"Line\nbreak",');
+});
+
+test('toCSV neutralises text cells that a spreadsheet would read as a formula', () => {
+    const csv = toCSV({ columns: ['Value'], rows: [['=SUM(A1)'], ['+1'], ['-1'], ['@cmd'], ['\t=1'], ['\r=1'], [-1], ['Ada']] });
+    assert.deepEqual(csv.split('\r\n').slice(1, 5), ["'=SUM(A1)", "'+1", "'-1", "'@cmd"]);
+    assert.ok(csv.includes("'\t=1"));
+    assert.ok(csv.includes(`"'\r=1"`));
+    assert.deepEqual(csv.split('\r\n').slice(-2), ['-1', 'Ada']);
+});
+
+// --- XLSX / ZIP ---
+
+test('createZip writes a stored archive whose entries read back intact', () => {
+    const files = readZip(createZip([{ name: 'a.txt', content: 'hello' }, { name: 'dir/ü.xml', content: '<x>ß</x>' }]));
+    assert.deepEqual(files, { 'a.txt': 'hello', 'dir/ü.xml': '<x>ß</x>' });
+});
+
+test('toXLSX writes a workbook with typed and escaped cells', () => {
+    const files = readZip(toXLSX({ columns: ['Name', 'Score', 'Passed'], rows: [['<b>Ada</b> & co', 91.5, true], ["O'Hara"]] }, 'Students: A/B'));
+    assert.deepEqual(Object.keys(files), ['[Content_Types].xml', '_rels/.rels', 'xl/workbook.xml', 'xl/_rels/workbook.xml.rels', 'xl/worksheets/sheet1.xml']);
+    assert.match(files['xl/workbook.xml'], /<sheet name="Students  A B"/);
+    const sheet = files['xl/worksheets/sheet1.xml'];
+    assert.match(sheet, /<c r="A2" t="inlineStr"><is><t xml:space="preserve">&lt;b&gt;Ada&lt;\/b&gt; &amp; co<\/t><\/is><\/c>/);
+    assert.match(sheet, /<c r="B2"><v>91.5<\/v><\/c>/);
+    assert.match(sheet, /<c r="C2" t="b"><v>1<\/v><\/c>/);
+    assert.match(sheet, /<t xml:space="preserve">O&#39;Hara<\/t>/);
+});
+
+// --- STUDENT REPORT ---
+
+test('toStudentReportHTML escapes learner-supplied text', () => {
+    const { hierarchy } = buildLearningHierarchy([row({ UserFullName: '<img src=x onerror=alert(1)>', UnitName: 'A & B' })]);
+    const document = toStudentReportHTML(buildStudentDiagnostic(hierarchy, '1'), { courseTitle: 'Spanish <1>' });
+    assert.ok(!document.includes('<img'));
+    assert.ok(document.includes('&lt;img src=x onerror=alert(1)&gt;'));
+    assert.ok(document.includes('Spanish &lt;1&gt;'));
+    assert.ok(document.includes('Unit 1: A &amp; B'));
+});
+
+test('toStudentReportHTML escapes with the same escaper as the dashboard templates', () => {
+    const name = `Ada "O'Hara"`;
+    const { hierarchy } = buildLearningHierarchy([row({ UserFullName: name })]);
+    assert.ok(toStudentReportHTML(buildStudentDiagnostic(hierarchy, '1')).includes(escapeHTML(name)));
+});
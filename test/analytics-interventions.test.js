@@ -0,0 +1,134 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+    createIntervention, addNote, assignRemediation, resolveIntervention, reopenIntervention,
+    createMemoryAdapter, createLocalStorageAdapter, createRestAdapter, resolveStorage,
+} = require('../analytics-interventions.js');
+
+const AT = '2026-03-01T10:00:00.000Z', LATER = '2026-03-02T10:00:00.000Z';
+
+// A Storage-like object backed by a Map; quotaExceeded makes every write throw, as a full or blocked localStorage does.
+const fakeStorage = ({ quotaExceeded = false } = {}) => {
+    const items = new Map();
+    return {
+        items,
+        getItem: (key) => items.has(key) ? items.get(key) : null,
+        setItem: (key, value) => { if (quotaExceeded) throw new Error('QuotaExceededError'); items.set(key, String(value)); },
+        removeItem: (key) => items.delete(key),
+    };
+};
+
+// Replaces the global fetch for one test and records every request.
+const fakeFetch = (t, respond) => {
+    const requests = [];
+    const original = global.fetch;
+    global.fetch = (url, init) => {
+        requests.push({ url, ...init, body: init.body && JSON.parse(init.body) });
+        return Promise.resolve(respond(url, init));
+    };
+    t.after(() => { global.fetch = original; });
+    return requests;
+};
+const response = (status, body) => ({ ok: status >= 200 && status < 300, status, json: () => Promise.resolve(body) });
+
+// --- RECORDS ---
+
+test('record helpers return new records and leave the previous one untouched', () => {
+    const record = createIntervention({ userId: 7, userName: 'Ada' }, AT);
+    assert.deepEqual(record, { userId: '7', userName: 'Ada', status: 'open', notes: [], remediations: [], createdAt: AT, updatedAt: AT, resolvedAt: null });
+    const noted = addNote(record, 'Called home', LATER);
+    assert.deepEqual(noted.notes, [{ text: 'Called home', at: LATER }]);
+    assert.equal(noted.updatedAt, LATER);
+    assert.deepEqual(record.notes, []);
+});
+
+test('resolving, reopening and assigning remediation move the status', () => {
+    const resolved = resolveIntervention(createIntervention({ userId: '7', userName: 'Ada' }, AT), LATER);
+    assert.deepEqual([resolved.status, resolved.resolvedAt], ['resolved', LATER]);
+    assert.deepEqual([reopenIntervention(resolved).status, reopenIntervention(resolved).resolvedAt], ['open', null]);
+    const assigned = assignRemediation(resolved, { concepts: [{ elementId: '500', name: 'Verbs', accuracy: 10 }], activity: 'Video' }, LATER);
+    assert.equal(assigned.status, 'open');
+    assert.deepEqual(assigned.remediations, [{ concepts: [{ elementId: '500', name: 'Verbs' }], activity: 'Video', at: LATER }]);
+});
+
+// --- ADAPTERS ---
+
+test('the memory adapter keeps one record per learner', async () => {
+    const adapter = createMemoryAdapter([createIntervention({ userId: '1', userName: 'Ada' }, AT)]);
+    await adapter.save(addNote(createIntervention({ userId: '1', userName: 'Ada' }, AT), 'Second', LATER));
+    await adapter.save(createIntervention({ userId: '2', userName: 'Grace' }, AT));
+    const records = await adapter.load();
+    assert.deepEqual(records.map(record => [record.userId, record.notes.length]), [['1', 1], ['2', 0]]);
+});
+
+test('the localStorage adapter stores every record under one key', async () => {
+    const storage = fakeStorage();
+    const adapter = createLocalStorageAdapter({ key: 'cs101', storage });
+    assert.deepEqual(await adapter.load(), []);
+    const record = createIntervention({ userId: '1', userName: 'Ada' }, AT);
+    assert.equal(await adapter.save(record), record);
+    await adapter.save(createIntervention({ userId: '2', userName: 'Grace' }, AT));
+    assert.deepEqual(Object.keys(JSON.parse(storage.getItem('cs101'))), ['1', '2']);
+    assert.deepEqual((await createLocalStorageAdapter({ key: 'cs101', storage }).load()).map(r => r.userName), ['Ada', 'Grace']);
+});
+
+test('the localStorage adapter rejects when storage fails', async () => {
+    await assert.rejects(createLocalStorageAdapter({ storage: fakeStorage({ quotaExceeded: true }) }).save(createIntervention({ userId: '1' }, AT)), /QuotaExceededError/);
+    const corrupt = fakeStorage();
+    corrupt.setItem('course-analytics.interventions', '{not json');
+    await assert.rejects(createLocalStorageAdapter({ storage: corrupt }).load(), SyntaxError);
+});
+
+test('the REST adapter loads the list and PUTs each record to its own url', async (t) => {
+    const stored = [createIntervention({ userId: 'a/1', userName: 'Ada' }, AT)];
+    const requests = fakeFetch(t, (url, init) => init.method === 'GET' ? response(200, stored) : response(204));
+    const adapter = createRestAdapter({ url: 'api/interventions/', fetchOptions: { credentials: 'include', headers: { 'X-Token': 'abc' } } });
+    assert.deepEqual(await adapter.load(), stored);
+    const record = addNote(stored[0], 'Called', LATER);
+    assert.equal(await adapter.save(record), record);
+    assert.deepEqual(requests.map(request => [request.method, request.url]), [['GET', 'api/interventions/'], ['PUT', 'api/interventions/a%2F1']]);
+    assert.deepEqual(requests[1].headers, { 'Content-Type': 'application/json', 'X-Token': 'abc' });
+    assert.equal(requests[1].credentials, 'include');
+    assert.deepEqual(requests[1].body, record);
+});
+
+test('the REST adapter treats an empty body as no records and rejects on HTTP errors', async (t) => {
+    fakeFetch(t, (url, init) => init.method === 'GET' ? response(200, null) : response(500));
+    const adapter = createRestAdapter({ url: 'api/interventions' });
+    assert.deepEqual(await adapter.load(), []);
+    await assert.rejects(adapter.save(createIntervention({ userId: '1' }, AT)), { message: 'Could not save intervention (HTTP 500).' });
+});
+
+// --- RESOLVING STORAGE ---
+
+test('resolveStorage passes adapters through and builds REST and memory adapters', async (t) => {
+    const custom = { load: async () => [], save: async (record) => record };
+    assert.equal(resolveStorage(custom), custom);
+    const requests = fakeFetch(t, () => response(200, []));
+    await resolveStorage('api/interventions').load();
+    await resolveStorage({ url: 'api/other', fetchOptions: { credentials: 'include' } }).load();
+    assert.deepEqual(requests.map(request => [request.url, request.credentials]), [['api/interventions', undefined], ['api/other', 'include']]);
+    const memory = resolveStorage(false);
+    await memory.save(createIntervention({ userId: '1' }, AT));
+    assert.equal((await memory.load()).length, 1);
+});
+
+test('resolveStorage uses localStorage when it works and memory when it does not', async (t) => {
+    const original = Object.getOwnPropertyDescriptor(global, 'localStorage');
+    t.after(() => original ? Object.defineProperty(global, 'localStorage', original) : delete global.localStorage);
+
+    const working = fakeStorage();
+    Object.defineProperty(global, 'localStorage', { value: working, configurable: true, writable: true });
+    await resolveStorage({ key: 'cs101' }).save(createIntervention({ userId: '1' }, AT));
+    assert.deepEqual(Object.keys(JSON.parse(working.getItem('cs101'))), ['1']);
+    assert.equal(working.getItem('course-analytics.interventions.probe'), null);
+
+    global.localStorage = fakeStorage({ quotaExceeded: true });
+    const fallback = resolveStorage();
+    await fallback.save(createIntervention({ userId: '2' }, AT));
+    assert.deepEqual((await fallback.load()).map(record => record.userId), ['2']);
+
+    // Reading window.localStorage itself throws in sandboxed frames.
+    Object.defineProperty(global, 'localStorage', { get() { throw new Error('SecurityError'); }, configurable: true });
+    assert.deepEqual(await resolveStorage().load(), []);
+});
@@ -0,0 +1,83 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+    DEFAULT_RULES, resolveRules, classifyLearnerInUnit, classifyUnit, classifyStudentStatus, isStrugglingConcept, classifyDifficulty,
+    classifyEffectiveness, classifyLearningPattern, classifyDecline, classifyInactivity, classifySnapshotChange, classifyGroupDifference,
+} = require('../analytics-rules.js');
+
+test('resolveRules merges overrides into the defaults without changing them', () => {
+    const rules = resolveRules({ struggling: { accuracyBelow: 40 }, effectiveness: { moderate: { label: 'Fair' } } });
+    assert.equal(rules.struggling.accuracyBelow, 40);
+    assert.equal(rules.struggling.label, 'Struggling');
+    assert.equal(rules.effectiveness.moderate.label, 'Fair');
+    assert.equal(rules.effectiveness.moderate.accuracyBelow, 80);
+    assert.equal(DEFAULT_RULES.struggling.accuracyBelow, 50);
+    assert.equal(resolveRules(), DEFAULT_RULES);
+});
+
+test('classifyLearnerInUnit needs low accuracy and above-average time', () => {
+    const flag = classifyLearnerInUnit(DEFAULT_RULES, { accuracy: 45, timeSeconds: 1800, unitAverageTimeSeconds: 1200 });
+    assert.deepEqual(flag, { ruleId: 'struggling', label: 'Struggling', reason: 'Accuracy 45% is below 50% and time 30 min is above the unit average of 20 min.' });
+    assert.equal(classifyLearnerInUnit(DEFAULT_RULES, { accuracy: 50, timeSeconds: 1800, unitAverageTimeSeconds: 1200 }), null);
+    assert.equal(classifyLearnerInUnit(DEFAULT_RULES, { accuracy: 45, timeSeconds: 600, unitAverageTimeSeconds: 1200 }), null);
+    const accuracyOnly = resolveRules({ struggling: { requireAboveAverageTime: false } });
+    assert.equal(classifyLearnerInUnit(accuracyOnly, { accuracy: 45, timeSeconds: 600, unitAverageTimeSeconds: 1200 }).reason, 'Accuracy 45% is below 50%.');
+});
+
+test('classifyUnit compares the unit against the course average time', () => {
+    assert.equal(classifyUnit(DEFAULT_RULES, { avgAccuracy: 55, avgTimeSeconds: 900, courseAverageTimeSeconds: 600 }).ruleId, 'problematicUnit');
+    assert.equal(classifyUnit(DEFAULT_RULES, { avgAccuracy: 55, avgTimeSeconds: 300, courseAverageTimeSeconds: 600 }), null);
+    assert.equal(classifyUnit(DEFAULT_RULES, { avgAccuracy: 60, avgTimeSeconds: 900, courseAverageTimeSeconds: 600 }), null);
+});
+
+test('classifyStudentStatus puts struggling before excelling', () => {
+    const struggling = classifyStudentStatus(DEFAULT_RULES, { avgAccuracy: 95, strugglingFlags: [{ unitName: 'Hello', reason: 'Low.' }] });
+    assert.equal(struggling.statusId, 'struggling');
+    assert.deepEqual(struggling.flag.details, ['Hello: Low.']);
+    assert.equal(classifyStudentStatus(DEFAULT_RULES, { avgAccuracy: 95, strugglingFlags: [] }).statusId, 'excelling');
+    assert.deepEqual(classifyStudentStatus(DEFAULT_RULES, { avgAccuracy: 90, strugglingFlags: [] }), { statusId: 'onTrack', status: 'On-Track', flag: null });
+});
+
+test('concept difficulty and struggling-concept thresholds are strict', () => {
+    assert.equal(isStrugglingConcept(DEFAULT_RULES, 59.9), true);
+    assert.equal(isStrugglingConcept(DEFAULT_RULES, 60), false);
+    assert.deepEqual([801, 800, 401, 400].map(d => classifyDifficulty(DEFAULT_RULES, d).band), ['high', 'medium', 'medium', 'low']);
+});
+
+test('classifyEffectiveness', () => {
+    assert.equal(classifyEffectiveness(DEFAULT_RULES, { avgAccuracy: 65, avgAttempts: 12 }).flag.ruleId, 'needsReview');
+    assert.equal(classifyEffectiveness(DEFAULT_RULES, { avgAccuracy: 65, avgAttempts: 4 }).flag.ruleId, 'moderate');
+    assert.deepEqual(classifyEffectiveness(DEFAULT_RULES, { avgAccuracy: 85, avgAttempts: 4 }), { text: 'Effective', class: 'success', flag: null });
+});
+
+test('classifyLearningPattern', () => {
+    assert.equal(classifyLearningPattern(DEFAULT_RULES, { avgAccuracy: 65, avgAttemptsPerActivity: 20 }).type, 'Persistence without Mastery');
+    assert.equal(classifyLearningPattern(DEFAULT_RULES, { avgAccuracy: 55, avgAttemptsPerActivity: 3 }).type, 'Knowledge Gap');
+    assert.equal(classifyLearningPattern(DEFAULT_RULES, { avgAccuracy: 75, avgAttemptsPerActivity: 3 }).reason, null);
+});
+
+test('classifyDecline looks at the trailing window of known values', () => {
+    assert.equal(classifyDecline(DEFAULT_RULES, [100, 90, null, 80, 65]).reason, 'Accuracy fell from 90% to 65% over the last 3 periods (a drop of more than 10 points).');
+    assert.equal(classifyDecline(DEFAULT_RULES, [20, 80, 75, 72]), null);
+    assert.equal(classifyDecline(DEFAULT_RULES, [80, null]), null);
+});
+
+test('classifyInactivity and classifySnapshotChange', () => {
+    assert.equal(classifyInactivity(DEFAULT_RULES, { idleDays: 15.5, since: 'Mar 1' }).reason, 'No activity for 15 days (since Mar 1), more than 14.');
+    assert.equal(classifyInactivity(DEFAULT_RULES, { idleDays: 14 }), null);
+    assert.deepEqual([3, 2, -2, -3].map(delta => classifySnapshotChange(DEFAULT_RULES, delta)), ['improved', 'unchanged', 'unchanged', 'worsened']);
+});
+
+test('classifyGroupDifference needs a significant p-value and enough learners in every group', () => {
+    const test = { name: "Welch's t-test", p: 0.01 };
+    assert.equal(classifyGroupDifference(DEFAULT_RULES, { test, smallestGroup: 5 }).reason, "Welch's t-test gives p = 0.01, below the 0.05 significance level, with at least 5 learners in every group.");
+    assert.equal(classifyGroupDifference(DEFAULT_RULES, { test, smallestGroup: 4 }), null);
+    assert.equal(classifyGroupDifference(DEFAULT_RULES, { test: { ...test, p: 0.05 }, smallestGroup: 5 }), null);
+    assert.equal(classifyGroupDifference(DEFAULT_RULES, { test: null, smallestGroup: 5 }), null);
+});
+
+test('classifyGroupDifference uses the adjusted p-value when a table was adjusted', () => {
+    const adjusted = { name: 'One-way ANOVA', p: 0.01, adjustedP: 0.06, comparisons: 6 };
+    assert.equal(classifyGroupDifference(DEFAULT_RULES, { test: adjusted, smallestGroup: 5 }), null);
+    assert.match(classifyGroupDifference(DEFAULT_RULES, { test: { ...adjusted, adjustedP: 0.0004 }, smallestGroup: 5 }).reason, /^One-way ANOVA gives p < 0.001 after Holm's adjustment for 6 comparisons/);
+});
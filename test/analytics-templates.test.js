@@ -0,0 +1,47 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { html, raw, render, replace, escapeHTML, SafeHTML } = require('../analytics-templates.js');
+
+const payload = `<img src=x onerror="alert('x')">&`;
+
+test('escapeHTML escapes markup and quote characters', () => {
+    assert.equal(escapeHTML(payload), '&lt;img src=x onerror=&quot;alert(&#39;x&#39;)&quot;&gt;&amp;');
+    assert.equal(escapeHTML(null), '');
+    assert.equal(escapeHTML(0), '0');
+});
+
+test('html escapes every interpolated value, in text and in attributes', () => {
+    const name = payload;
+    const markup = html`<div class="name" title="${name}">${name}</div>`;
+    assert.ok(markup instanceof SafeHTML);
+    assert.equal(String(markup), `<div class="name" title="${escapeHTML(payload)}">${escapeHTML(payload)}</div>`);
+});
+
+test('html nests templates without escaping them twice', () => {
+    const inner = html`<b>${'A & B'}</b>`;
+    assert.equal(String(html`<p>${inner}</p>`), '<p><b>A &amp; B</b></p>');
+});
+
+test('html joins arrays and renders nothing for null, undefined and false', () => {
+    const names = ['<i>', 'Ada'];
+    assert.equal(String(html`<ul>${names.map(name => html`<li>${name}</li>`)}</ul>`), '<ul><li>&lt;i&gt;</li><li>Ada</li></ul>');
+    assert.equal(String(html`${null}${undefined}${false}|${0}`), '|0');
+});
+
+test('raw passes trusted markup through', () => {
+    const svg = '<svg><rect width="1"/></svg>';
+    assert.equal(String(html`<div>${raw(svg)}</div>`), `<div>${svg}</div>`);
+    const template = html`<p></p>`;
+    assert.equal(raw(template), template);
+    assert.equal(String(raw(undefined)), '');
+});
+
+test('render and replace write templates and show plain strings as text', () => {
+    const element = { innerHTML: '', outerHTML: '' };
+    render(element, html`<p>${payload}</p>`);
+    assert.equal(element.innerHTML, `<p>${escapeHTML(payload)}</p>`);
+    render(element, payload);
+    assert.equal(element.innerHTML, escapeHTML(payload));
+    replace(element, html`<section>${'<hr>'}</section>`);
+    assert.equal(element.outerHTML, '<section>&lt;hr&gt;</section>');
+});
@@ -0,0 +1,98 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { buildLearningHierarchy } = require('../hierarchy-builder.js');
+const { buildTrends, compareSnapshots } = require('../analytics-trends.js');
+const { row, courseRows } = require('./fixtures.js');
+
+const march = (day) => new Date(Date.UTC(2026, 2, day, 12)).toISOString();
+
+// Ada's accuracy falls over three attempts; Grace tried once.
+const timestampedRows = () => [
+    row({ UnitAccuracyPercentage: '80', UnitCompletionPercentage: '20', AttemptTimestamp: march(2) }),
+    row({ UnitAccuracyPercentage: '60', UnitCompletionPercentage: '50', AttemptTimestamp: march(4) }),
+    row({ UnitAccuracyPercentage: '40', UnitCompletionPercentage: '90', AttemptTimestamp: march(6) }),
+    row({ UserId: 2, UserFullName: 'Grace', UnitAccuracyPercentage: '70', UnitCompletionPercentage: '30', AttemptTimestamp: march(2) }),
+];
+
+// --- TIMESTAMPS ---
+
+test('buildTrends returns null without timestamps or at least two snapshots', () => {
+    const { hierarchy } = buildLearningHierarchy(courseRows());
+    assert.equal(buildTrends(hierarchy), null);
+    assert.equal(buildTrends(hierarchy, [{ label: 'Jan', hierarchy }]), null);
+});
+
+test('buildTrends carries each learner forward from their latest attempt in daily periods', () => {
+    const trends = buildTrends(buildLearningHierarchy(timestampedRows()).hierarchy);
+    assert.equal(trends.source, 'timestamps');
+    assert.equal(trends.bucket, 'day');
+    assert.deepEqual(trends.points.map(point => point.label), ['2026-03-02', '2026-03-03', '2026-03-04', '2026-03-05', '2026-03-06']);
+    assert.deepEqual(trends.students.map(student => [student.name, student.accuracy]), [['Ada', [80, 80, 60, 60, 40]], ['Grace', [70, 70, 70, 70, 70]]]);
+    assert.deepEqual(trends.course, { accuracy: [75, 75, 65, 65, 55], completion: [25, 25, 40, 40, 60] });
+    assert.deepEqual(trends.units.map(unit => unit.id), ['10']);
+});
+
+test('buildTrends flags a decline within the trailing window', () => {
+    const trends = buildTrends(buildLearningHierarchy(timestampedRows()).hierarchy);
+    assert.deepEqual(trends.learners, [{
+        userId: '1', userName: 'Ada',
+        flags: [{ ruleId: 'declining', label: 'Declining', reason: 'Accuracy fell from 60% to 40% over the last 3 periods (a drop of more than 10 points).' }],
+    }]);
+});
+
+test('buildTrends picks weekly periods for longer spans and flags inactive learners', () => {
+    const rows = [row({ AttemptTimestamp: march(1) }), row({ UserId: 2, AttemptTimestamp: march(1) }), row({ UserId: 2, AttemptTimestamp: '2026-04-30T12:00:00Z' })];
+    const trends = buildTrends(buildLearningHierarchy(rows).hierarchy);
+    assert.equal(trends.bucket, 'week');
+    assert.equal(trends.points[0].label, 'Week of 2026-02-23');
+    assert.deepEqual(trends.learners.map(learner => [learner.userId, learner.flags.map(flag => flag.ruleId)]), [['1', ['inactive']]]);
+    assert.equal(trends.learners[0].flags[0].reason, 'No activity for 60 days (since 2026-03-01), more than 14.');
+});
+
+test('buildTrends honours a fixed bucket from the rules', () => {
+    const { hierarchy } = buildLearningHierarchy(timestampedRows(), { rules: { trends: { bucket: 'month' } } });
+    assert.deepEqual(buildTrends(hierarchy).points.map(point => point.label), ['2026-03']);
+});
+
+// --- SNAPSHOTS ---
+
+const snapshots = () => {
+    const january = { label: 'Jan', takenAt: '2026-01-01', hierarchy: buildLearningHierarchy(courseRows()).hierarchy };
+    // By February unit 11 has gone, unit 12 is new and everyone in unit 10 gained ten points.
+    const februaryRows = courseRows().filter(r => r.UnitId === 10).map(r => ({ ...r, UnitAccuracyPercentage: String(Number(r.UnitAccuracyPercentage) + 10) }))
+        .concat(row({ UnitId: 12, UnitNo: 3, UnitName: 'Numbers', SequenceBuilderID: 120 }));
+    const february = { label: 'Feb', takenAt: '2026-02-01', hierarchy: buildLearningHierarchy(februaryRows).hierarchy };
+    return [january, february];
+};
+
+test('buildTrends builds one point per snapshot', () => {
+    const [january, february] = snapshots();
+    const trends = buildTrends(february.hierarchy, [january, february]);
+    assert.equal(trends.source, 'snapshots');
+    assert.deepEqual(trends.points, [{ label: 'Jan', at: Date.UTC(2026, 0, 1) }, { label: 'Feb', at: Date.UTC(2026, 1, 1) }]);
+    assert.deepEqual(trends.units.map(unit => [unit.id, unit.accuracy.map(value => value === null ? null : Math.round(value))]), [['10', [63, 73]], ['11', [70, null]], ['12', [null, 60]]]);
+    assert.deepEqual(trends.students.find(student => student.id === '2').accuracy, [50, 60]);
+});
+
+test('compareSnapshots classifies every unit and lists the biggest drops first', () => {
+    const comparison = compareSnapshots(...snapshots());
+    assert.equal(comparison.before, 'Jan');
+    assert.equal(comparison.after, 'Feb');
+    assert.deepEqual(comparison.units.map(unit => [unit.unitId, unit.change, unit.accuracyDelta]), [['11', 'removed', null], ['12', 'added', null], ['10', 'improved', 10]]);
+    assert.deepEqual(comparison.units[2].before, { accuracy: 63.33, completion: 80, learners: 3 });
+    assert.equal(comparison.improved, 1);
+    assert.equal(comparison.worsened, 0);
+});
+
+test('buildTrends leaves periods without a score unknown instead of reading them as 0%', () => {
+    const rows = [
+        row({ UnitAccuracyPercentage: '80', AttemptTimestamp: march(2) }),
+        row({ UnitAccuracyPercentage: '', AttemptTimestamp: march(3) }),
+        row({ UserId: 2, UserFullName: 'Grace', UnitAccuracyPercentage: '60', AttemptTimestamp: march(2) }),
+    ];
+    const trends = buildTrends(buildLearningHierarchy(rows).hierarchy);
+    assert.deepEqual(trends.students.find(student => student.name === 'Ada').accuracy, [80, null]);
+    assert.deepEqual(trends.students.find(student => student.name === 'Ada').completion, [100, 100]);
+    assert.deepEqual(trends.course.accuracy, [70, 60]);
+    assert.deepEqual(trends.learners, []);
+});
@@ -0,0 +1,27 @@
+// Small hand-checkable exports shared by the test suites (run them all with `node --test` from the repository root).
+// Two units, three learners, two activity types and two concepts; every value is fixed so expected figures can be worked out by hand.
+
+const row = (overrides = {}) => ({
+    ChapterId: 1, ChapterNo: 1, ChapterName: 'Greetings',
+    UnitId: 10, UnitNo: 1, UnitName: 'Hello',
+    ActivityTypeId: 1, ActivityTypeName: 'Quiz', SequenceBuilderID: 100,
+    ConceptId: 500, ConceptName: 'Verb to be', ConceptCategory: 'Grammar', ConceptParentId: 50, ConceptParentName: 'Verbs', ConceptAccuracyPercentage: '60',
+    UserId: 1, UserFullName: 'Ada', UnitCompletionPercentage: '100', UnitAccuracyPercentage: '60', UnitTimeSpent: { hours: 0, minutes: 10, seconds: 0 },
+    ActivityTypeAccuracyPercentage: '60', ActivityTotalAttempts: 2,
+    ...overrides,
+});
+
+// Learner 1 does well in Grammar and badly in Vocabulary; learner 2 the reverse; learner 3 only watched the video.
+const courseRows = () => [
+    row(),
+    row({ ActivityTypeId: 2, ActivityTypeName: 'Video', SequenceBuilderID: 101, ConceptId: 501, ConceptName: 'Numbers', ConceptCategory: 'Vocabulary', ConceptParentId: 51, ConceptParentName: 'Words', ConceptAccuracyPercentage: '20', ActivityTypeAccuracyPercentage: '20' }),
+    row({ UserId: 2, UserFullName: 'Grace', UnitAccuracyPercentage: '50', ConceptAccuracyPercentage: '10', ActivityTypeAccuracyPercentage: '10', UnitTimeSpent: { hours: 0, minutes: 30, seconds: 0 } }),
+    row({ UserId: 2, UserFullName: 'Grace', UnitAccuracyPercentage: '50', ActivityTypeId: 2, ActivityTypeName: 'Video', SequenceBuilderID: 101, ConceptId: 501, ConceptName: 'Numbers', ConceptCategory: 'Vocabulary', ConceptParentId: 51, ConceptParentName: 'Words', ConceptAccuracyPercentage: '90', ActivityTypeAccuracyPercentage: '90', UnitTimeSpent: { hours: 0, minutes: 30, seconds: 0 } }),
+    row({ UserId: 3, UserFullName: 'Alan', UnitAccuracyPercentage: '80', UnitCompletionPercentage: '40', ActivityTypeId: 2, ActivityTypeName: 'Video', SequenceBuilderID: 101, ConceptId: 501, ConceptName: 'Numbers', ConceptCategory: 'Vocabulary', ConceptParentId: 51, ConceptParentName: 'Words', ConceptAccuracyPercentage: '80', ActivityTypeAccuracyPercentage: '80' }),
+    row({ UnitId: 11, UnitNo: 2, UnitName: 'Goodbye', SequenceBuilderID: 110, UnitAccuracyPercentage: '70' }),
+];
+
+// Names and categories are optional labels: one concept arrives without a name and with a numeric category.
+const rowWithoutConceptName = () => row({ UserId: 2, UserFullName: 'Grace', ConceptId: 502, ConceptName: undefined, ConceptCategory: 3, ConceptParentId: 52, ConceptParentName: 'Misc' });
+
+module.exports = { row, courseRows, rowWithoutConceptName };
@@ -0,0 +1,164 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { validateFlatData, buildLearningHierarchy, filterHierarchy, parseTimestamp, parseTimeObjectToSeconds } = require('../hierarchy-builder.js');
+const { row, courseRows, rowWithoutConceptName } = require('./fixtures.js');
+
+// --- VALIDATION ---
+
+test('validateFlatData accepts a clean export', () => {
+    const { rows, report } = validateFlatData(courseRows());
+    assert.equal(rows.length, 6);
+    assert.equal(report.acceptedRows, 6);
+    assert.equal(report.isValid, true);
+});
+
+test('validateFlatData treats anything but an array as an empty export', () => {
+    const { rows, report } = validateFlatData({ rows: [row()] });
+    assert.deepEqual(rows, []);
+    assert.equal(report.totalRows, 0);
+});
+
+test('validateFlatData rejects rows without a UserId', () => {
+    const { rows, report } = validateFlatData([row(), row({ UserId: '' }), row({ UserId: null })]);
+    assert.equal(rows.length, 1);
+    assert.deepEqual(report.missingIds, [{ row: 1, field: 'UserId' }, { row: 2, field: 'UserId' }]);
+    assert.equal(report.isValid, false);
+});
+
+test('validateFlatData requires the concept fields only on concept rows', () => {
+    const { report } = validateFlatData([
+        row({ ConceptCategory: '' }),
+        row({ ConceptId: undefined, ConceptCategory: undefined, ConceptParentId: undefined }),
+    ]);
+    assert.deepEqual(report.rejectedRows, [{ row: 0, reasons: ['Missing ConceptCategory'] }]);
+});
+
+test('validateFlatData reports non-numeric values, bad durations and bad timestamps', () => {
+    const { rows, report } = validateFlatData([
+        row({ UnitAccuracyPercentage: 'n/a' }),
+        row({ UnitTimeSpent: '10 minutes' }),
+        row({ AttemptTimestamp: 'yesterday' }),
+        row({ UnitAccuracyPercentage: '75%', UnitTimeSpent: '0:10:00', AttemptTimestamp: '2026-03-01T10:00:00Z' }),
+    ]);
+    assert.equal(rows.length, 1);
+    assert.deepEqual(report.nonNumericValues.map(issue => issue.field), ['UnitAccuracyPercentage', 'UnitTimeSpent']);
+    assert.deepEqual(report.invalidTimestamps, [{ row: 2, field: 'AttemptTimestamp', value: 'yesterday' }]);
+});
+
+test('validateFlatData accepts numbers in the optional label fields', () => {
+    const { rows } = validateFlatData([row({ UnitName: 12, UserFullName: 404, ConceptCategory: 3 })]);
+    assert.equal(rows.length, 1);
+});
+
+test('validateFlatData reports ids that carry two different names', () => {
+    const { report } = validateFlatData([row(), row({ UserId: 2, UnitName: 'Hi' })]);
+    assert.deepEqual(report.nameConflicts, [{ field: 'UnitId', id: '10', names: ['Hello', 'Hi'] }]);
+    assert.equal(report.isValid, false);
+});
+
+// --- BUILDER ---
+
+test('buildLearningHierarchy builds chapters, units and learners with string ids', () => {
+    const { hierarchy } = buildLearningHierarchy(courseRows());
+    assert.equal(hierarchy.noOfLearners, 3);
+    assert.deepEqual(hierarchy.chapters.map(chapter => chapter.chapterId), ['1']);
+    const [hello, goodbye] = hierarchy.chapters[0].units;
+    assert.deepEqual([hello.unitId, goodbye.unitId], ['10', '11']);
+    assert.deepEqual(hello.users.map(user => [user.userId, user.accuracy, user.completion]), [['1', 60, 100], ['2', 50, 100], ['3', 80, 40]]);
+    assert.equal(hello.avgAccuracy, 63.33);
+    assert.deepEqual(hello.users[0].activities.map(activity => activity.activityName), ['Quiz', 'Video']);
+});
+
+test('buildLearningHierarchy returns a message and the report when nothing is usable', () => {
+    const { hierarchy, report } = buildLearningHierarchy([row({ UserId: '' })]);
+    assert.equal(hierarchy.message, 'No data found for the specified criteria.');
+    assert.equal(report.rejectedRows.length, 1);
+});
+
+test('buildLearningHierarchy stores concepts without a name, and numeric categories, as text', () => {
+    const { hierarchy, report } = buildLearningHierarchy([...courseRows(), rowWithoutConceptName()]);
+    assert.equal(report.isValid, true);
+    const grace = hierarchy.chapters[0].units[0].users.find(user => user.userId === '2');
+    const category = grace.activities[0].performanceByCategory.find(entry => entry.category === '3');
+    assert.deepEqual(category.components[0].elements, [{ elementId: '502', elementName: '', accuracy: 60 }]);
+});
+
+test('buildLearningHierarchy flags learners below the accuracy threshold who spend above-average time', () => {
+    const { hierarchy } = buildLearningHierarchy([
+        row({ UserId: 1, UnitAccuracyPercentage: '40', UnitTimeSpent: { minutes: 30 } }),
+        row({ UserId: 2, UnitAccuracyPercentage: '40', UnitTimeSpent: { minutes: 5 } }),
+        row({ UserId: 3, UnitAccuracyPercentage: '90', UnitTimeSpent: { minutes: 10 } }),
+    ]);
+    const users = hierarchy.chapters[0].units[0].users;
+    assert.deepEqual(users.map(user => user.isStruggling), [true, false, false]);
+    assert.equal(users[0].flag.ruleId, 'struggling');
+});
+
+test('buildLearningHierarchy keeps the latest attempt and the whole timeline when rows are timestamped', () => {
+    const { hierarchy } = buildLearningHierarchy([
+        row({ UnitAccuracyPercentage: '80', AttemptTimestamp: '2026-03-02T10:00:00Z' }),
+        row({ UnitAccuracyPercentage: '40', AttemptTimestamp: '2026-03-01T10:00:00Z' }),
+    ]);
+    const [user] = hierarchy.chapters[0].units[0].users;
+    assert.equal(user.accuracy, 80);
+    assert.deepEqual(user.timeline.map(point => point.accuracy), [40, 80]);
+    assert.equal(hierarchy.hasTimeline, true);
+});
+
+test('buildLearningHierarchy reads groups from a column or from a mapping', () => {
+    const rows = courseRows().map(r => ({ ...r, Section: r.UserId === 3 ? 'B' : 'A' }));
+    assert.deepEqual(buildLearningHierarchy(rows, { groupBy: 'Section' }).hierarchy.groups, [{ name: 'A', learners: 2 }, { name: 'B', learners: 1 }]);
+    assert.deepEqual(buildLearningHierarchy(courseRows(), { groupBy: { 1: 'Morning', 2: 'Evening' } }).hierarchy.groups, [{ name: 'Evening', learners: 1 }, { name: 'Morning', learners: 1 }]);
+});
+
+test('buildLearningHierarchy applies rule overrides', () => {
+    const { hierarchy } = buildLearningHierarchy(courseRows(), { rules: { struggling: { accuracyBelow: 70, requireAboveAverageTime: false } } });
+    assert.deepEqual(hierarchy.chapters[0].units[0].users.map(user => user.isStruggling), [true, true, false]);
+    assert.equal(hierarchy.rules.excelling.accuracyAbove, 90);
+});
+
+// --- FILTERING ---
+
+test('filterHierarchy narrows by scope, name and completion and re-aggregates', () => {
+    const { hierarchy } = buildLearningHierarchy(courseRows());
+    const filtered = filterHierarchy(hierarchy, { unitId: '10', completionMin: 50 });
+    assert.equal(filtered.chapters[0].units.length, 1);
+    assert.deepEqual(filtered.chapters[0].units[0].users.map(user => user.userId), ['1', '2']);
+    assert.equal(filtered.chapters[0].units[0].avgAccuracy, 55);
+    assert.equal(filterHierarchy(hierarchy, { studentSearch: 'GRA' }).noOfLearners, 1);
+    assert.equal(filterHierarchy(hierarchy, { studentSearch: 'nobody' }).message, 'No learners match the current filters.');
+});
+
+test('filterHierarchy recalculates accuracy and flags from the kept activities', () => {
+    const { hierarchy } = buildLearningHierarchy(courseRows());
+    const filtered = filterHierarchy(hierarchy, { unitId: '10', conceptCategory: 'Grammar' });
+    assert.equal(filtered.activitiesNarrowed, true);
+    const users = filtered.chapters[0].units[0].users;
+    // Alan has no Grammar results; Grace scored 10% on them and spent more than the unit's average time.
+    assert.deepEqual(users.map(user => [user.userId, user.accuracy, user.isStruggling]), [['1', 60, false], ['2', 10, true]]);
+    assert.equal(filtered.chapters[0].units[0].avgAccuracy, 35);
+    assert.equal(users[1].completion, 100);
+});
+
+test('filterHierarchy applies the accuracy range to the recalculated accuracy', () => {
+    const { hierarchy } = buildLearningHierarchy(courseRows());
+    const filtered = filterHierarchy(hierarchy, { unitId: '10', activityType: 'Video', accuracyMax: 50 });
+    assert.deepEqual(filtered.chapters[0].units[0].users.map(user => [user.userId, user.accuracy]), [['1', 20]]);
+    assert.equal(filterHierarchy(hierarchy, { unitId: '10' }).activitiesNarrowed, false);
+});
+
+// --- HELPERS ---
+
+test('parseTimestamp accepts ISO strings, epoch milliseconds and dates', () => {
+    assert.equal(parseTimestamp('2026-01-01T00:00:00Z'), Date.UTC(2026, 0, 1));
+    assert.equal(parseTimestamp('1767225600000'), 1767225600000);
+    assert.equal(parseTimestamp(new Date(5)), 5);
+    assert.equal(parseTimestamp('soon'), null);
+    assert.equal(parseTimestamp(''), null);
+});
+
+test('parseTimeObjectToSeconds reads duration objects and h:mm:ss strings', () => {
+    assert.equal(parseTimeObjectToSeconds({ hours: 1, minutes: 2, seconds: 3 }), 3723);
+    assert.equal(parseTimeObjectToSeconds('0:10:05'), 605);
+    assert.equal(parseTimeObjectToSeconds(null), 0);
+});